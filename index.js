@@ -1,26 +1,239 @@
 import express from "express";
 import crypto from "crypto";
-import OpenAI from "openai";
+import path from "path";
+import { EventEmitter } from "events";
+import { setTimeout as delay } from "timers/promises";
+import { parseSections } from "./lib/sections.js";
+import { validateScenario, blockingViolations, buildRepairPrompt } from "./lib/validator.js";
+import { createJobStore } from "./lib/jobStore.js";
+import { createJobQueue } from "./lib/jobQueue.js";
+import { createProvider, providerSettingsFromEnv } from "./lib/providers/index.js";
+import { listTrends, resolveTrend, validateTrends } from "./lib/trends.js";
+import { EXPORT_FORMATS, buildReport } from "./lib/export.js";
+import { loadApiClients, createAuth } from "./lib/auth.js";
+import { buildInstructions, listModes, listPromptVersions, isModeAvailable, hasPromptVersion, DEFAULT_PROMPT_VERSION } from "./lib/prompts/index.js";
+import { validateFollowupPayload, diffTrends, buildFollowupPrompt } from "./lib/followup.js";
+import { createWebhookDispatcher, validateCallbackUrl } from "./lib/webhooks.js";
+import { createResultCache, cacheKey } from "./lib/resultCache.js";
+import { validateCoordinates, enrichLocation, describeLocation } from "./lib/geo/index.js";
+import { parseSweepVary, expandSweepVariants, sweepStatus, compareSweepVariants } from "./lib/sweep.js";
+import { payloadsFromCsv, batchResultRow, BATCH_RESULT_FORMATS } from "./lib/batch.js";
+import { logger } from "./lib/logger.js";
+import { createMetrics, PROMETHEUS_CONTENT_TYPE } from "./lib/metrics.js";
+import { ERROR_CODES, classifyError, jobError, retryDelayMs } from "./lib/errors.js";
+import {
+    DEFAULT_PRICES_FILE,
+    estimateTokens,
+    emptyUsage,
+    addUsage,
+    loadPriceTable,
+    createPricing,
+    validateBudget,
+    budgetExceeded,
+    createUsageLedger
+} from "./lib/usage.js";
+import {
+    RERUN_OVERRIDES,
+    validateLibraryFields,
+    normalizeTags,
+    replayablePayload,
+    libraryEntryFromJob,
+    createShareToken,
+    parseLibraryQuery,
+    matchesLibraryQuery,
+    librarySummary,
+    sharedView
+} from "./lib/library.js";
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: "1mb" }));
 
-// CORS for Wix
+// Model provider: MODEL_PROVIDER=openai-responses (default) | openai-chat | mock
+const providerSettings = providerSettingsFromEnv();
+const provider = createProvider(providerSettings);
+
+// Job store: "file" (default) survives restarts, "memory" is the old in-process Map
+const JOB_STORE = process.env.JOB_STORE || "file";
+const DATA_DIR = process.env.DATA_DIR || "./data";
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MINUTES || (JOB_STORE === "memory" ? 15 : 7 * 24 * 60)) * 60 * 1000;
+
+const jobs = createJobStore({
+    driver: JOB_STORE,
+    dir: process.env.JOB_STORE_DIR || path.join(DATA_DIR, "jobs"),
+    // Rebuilt on startup, never persisted (usageReceived and pendingInputTokens are:
+    // a restart estimates the usage of a stream it cut off from them)
+    transientFields: ["events", "eventsRebuilt", "sectionsSent"]
+});
+
+// Sensitivity sweeps (parent records for groups of child jobs)
+const sweeps = createJobStore({
+    driver: JOB_STORE,
+    dir: path.join(DATA_DIR, "sweeps")
+});
+const SWEEP_MAX_VARIANTS = Number(process.env.SWEEP_MAX_VARIANTS) || 9;
+
+// Batches (one create payload per row, each its own job)
+const batches = createJobStore({
+    driver: JOB_STORE,
+    dir: path.join(DATA_DIR, "batches")
+});
+const BATCH_MAX_ROWS = Number(process.env.BATCH_MAX_ROWS) || 100;
+
+// Tokens a typical job uses (prompt plus full output): every route that starts jobs
+// must fit this many per job in the caller's remaining quota, and queued or running
+// jobs hold this much of it until they finish
+const QUOTA_TOKENS_PER_JOB = Number(process.env.QUOTA_TOKENS_PER_JOB) || 3500;
+
+// Saved scenarios: never cleaned up, so they outlive the jobs they came from
+const library = createJobStore({
+    driver: JOB_STORE,
+    dir: path.join(DATA_DIR, "library")
+});
+
+// Model streams allowed at once; the rest wait in line
+const jobQueue = createJobQueue({
+    concurrency: Number(process.env.MAX_CONCURRENT_JOBS) || 4
+});
+
+// Identical create requests join a running job or reuse a recent result
+const resultCache = createResultCache({
+    jobs,
+    ttlMs: Number(process.env.RESULT_CACHE_TTL_MINUTES ?? 60) * 60 * 1000
+});
+
+// Prompt template version for new jobs (requests may pin another one)
+const PROMPT_VERSION = process.env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION;
+if (!hasPromptVersion(PROMPT_VERSION)) {
+    throw new Error(`Unknown PROMPT_VERSION "${PROMPT_VERSION}"`);
+}
+
+// Run one repair request when a completed output breaks a blocking rule
+const AUTO_REPAIR_DEFAULT = process.env.AUTO_REPAIR === "true";
+
+// Transient model failures (lib/errors.js) are retried with exponential backoff
+const STREAM_MAX_ATTEMPTS = Math.max(1, Number(process.env.STREAM_MAX_ATTEMPTS) || 3);
+const STREAM_RETRY_BASE_MS = Number(process.env.STREAM_RETRY_BASE_MS) || 2000;
+
+// Live job events for SSE subscribers (one channel per jobId)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled", "interrupted"];
+
+// Abort handles for running jobs (runtime only, never persisted)
+const jobControllers = new Map();
+
+// Signed callbacks to a job's callbackUrl when it finishes (needs WEBHOOK_SECRET)
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const webhooks = createWebhookDispatcher({
+    jobs,
+    secret: WEBHOOK_SECRET,
+    payloadFor: webhookPayload,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 2000,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+});
+
+// API keys: auth is enforced once API_KEYS_FILE lists at least one client
+const auth = createAuth({
+    clients: loadApiClients(process.env.API_KEYS_FILE || path.join(DATA_DIR, "api-keys.json")),
+    usageStore: createJobStore({
+        driver: JOB_STORE,
+        dir: path.join(DATA_DIR, "usage")
+    }),
+    defaultRateLimit: {
+        requests: Number(process.env.RATE_LIMIT_PER_MINUTE) || 120,
+        windowMs: 60 * 1000
+    }
+});
+
+// Cost estimates per model and service tier (lib/prices.json unless PRICES_FILE is set)
+const pricing = createPricing(loadPriceTable(process.env.PRICES_FILE || DEFAULT_PRICES_FILE));
+
+// Daily usage totals for GET /api/usage; kept when the jobs themselves are cleaned up
+const usageLedger = createUsageLedger({
+    store: createJobStore({
+        driver: JOB_STORE,
+        dir: path.join(DATA_DIR, "usage-ledger")
+    }),
+    currency: pricing.currency
+});
+
+if (!pricing.priceFor(provider.model, providerSettings.serviceTier)) {
+    logger.warn("No price listed for the configured model - costs are not estimated", { model: provider.model });
+}
+
+if (!auth.enabled) {
+    logger.warn("No API keys configured - the API is open to anyone (see npm run issue-key)");
+}
+
+/**
+ * -------------------------
+ * METRICS
+ * Scraped from GET /metrics (Prometheus text format)
+ * -------------------------
+ */
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const metrics = createMetrics({ prefix: "strateko_" });
+const FINISH_STATUSES = ["completed", "failed", "cancelled"];
+
+const jobsCreated = metrics.counter("jobs_created_total", "Scenario jobs created (cache hits and joins do not create jobs)");
+const jobsFinished = metrics.counter("jobs_finished_total", "Jobs that reached a final status", {
+    series: FINISH_STATUSES.map(status => ({ status }))
+});
+metrics.gauge("queue_waiting_jobs", "Jobs waiting for a free model stream", () => jobQueue.stats().waiting);
+metrics.gauge("queue_running_jobs", "Jobs currently streaming from the model", () => jobQueue.stats().running);
+metrics.gauge("queue_concurrency", "Model streams allowed at once (MAX_CONCURRENT_JOBS)", () => jobQueue.stats().concurrency);
+metrics.gauge("stored_jobs", "Job records currently held in the job store", () => jobs.size);
+metrics.gauge("webhook_pending_retries", "Webhook deliveries waiting for their next attempt", () => webhooks.pending());
+const timeToFirstDelta = metrics.histogram(
+    "time_to_first_delta_seconds",
+    "Time from opening a model stream to its first text delta",
+    [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60]
+);
+const jobDuration = metrics.histogram(
+    "job_duration_seconds",
+    "Time from a job starting to stream until it finished, by final status",
+    [5, 10, 20, 30, 45, 60, 90, 120, 180, 300, 600],
+    { series: FINISH_STATUSES.map(status => ({ status })) }
+);
+const outputCharacters = metrics.histogram(
+    "job_output_characters",
+    "Scenario length in characters per completed job",
+    [1000, 2000, 4000, 6000, 8000, 10000, 15000, 20000, 30000]
+);
+const outputTokens = metrics.histogram(
+    "job_tokens",
+    "Tokens used per completed job (including any repair request)",
+    [500, 1000, 2000, 3000, 4000, 6000, 8000, 12000, 16000, 32000]
+);
+const streamFailures = metrics.counter("stream_failures_total", "Failed model stream attempts by error code (retried or not)", {
+    series: []
+});
+const streamRetries = metrics.counter("stream_retries_total", "Model streams started again after a transient failure");
+const tokensTotal = metrics.counter("tokens_total", "Model tokens used by finished jobs, by kind (cached is part of input, reasoning part of output)", {
+    series: ["input", "cached_input", "output", "reasoning"].map(kind => ({ kind }))
+});
+const costTotal = metrics.counter("cost_total", `Estimated model cost of finished jobs in ${pricing.currency} (priced models only)`);
+const chunkedFallbacks = metrics.counter(
+    "chunked_delivery_fallback_total",
+    "Model streams that sent no deltas, so the full text was replayed in chunks"
+);
+
+// CORS for Wix (per-key origin allowlist once API keys are configured)
 app.use((req, res, next) => {
-    res.header("Access-Control-Allow-Origin", "*");
-    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
-    res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    const allowOrigin = auth.corsOrigin(req.get("Origin"));
+    if (allowOrigin) res.header("Access-Control-Allow-Origin", allowOrigin);
+    res.header("Vary", "Origin");
+    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key, Last-Event-ID");
+    res.header("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
     if (req.method === "OPTIONS") return res.sendStatus(200);
     next();
 });
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
-// In-memory job store
-const jobs = new Map();
+// Every /api route needs a valid key (when enabled). Only routes that start jobs
+// count against its rate limit, so status polls and SSE reconnects never get 429s.
+app.use("/api", auth.authenticate);
 
 /**
  * -------------------------
@@ -31,7 +244,64 @@ app.get("/", (req, res) => {
     res.json({
         status: "ok",
         service: "StratEko Streaming Proxy",
-        activeJobs: jobs.size
+        activeJobs: jobs.size,
+        jobStore: jobs.driver,
+        auth: auth.enabled,
+        provider: { name: provider.name, model: provider.model, serviceTier: providerSettings.serviceTier },
+        pricing: {
+            currency: pricing.currency,
+            priced: Boolean(pricing.priceFor(provider.model, providerSettings.serviceTier)),
+            models: pricing.models()
+        },
+        promptVersion: PROMPT_VERSION,
+        queue: jobQueue.stats(),
+        cache: resultCache.stats(),
+        webhooks: { enabled: Boolean(WEBHOOK_SECRET), pendingRetries: webhooks.pending() }
+    });
+});
+
+/**
+ * -------------------------
+ * PROMETHEUS METRICS
+ * Outside /api, so API keys and rate limits don't apply;
+ * set METRICS_TOKEN to require "Authorization: Bearer <token>"
+ * -------------------------
+ */
+app.get("/metrics", (req, res) => {
+    if (METRICS_TOKEN) {
+        const token = req.get("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1] || "";
+        const expected = crypto.createHash("sha256").update(METRICS_TOKEN).digest();
+        if (!crypto.timingSafeEqual(crypto.createHash("sha256").update(token).digest(), expected)) {
+            return res.status(401).json({
+                success: false,
+                error: "Invalid or missing metrics token"
+            });
+        }
+    }
+
+    res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+});
+
+/**
+ * -------------------------
+ * SHARED SCENARIOS
+ * Read-only view of one library entry by its share token. Outside /api:
+ * the token is the only credential, and revoking it ends access.
+ * -------------------------
+ */
+app.get("/shared/:token", (req, res) => {
+    const entry = findSharedEntry(req.params.token);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: "Shared scenario not found"
+        });
+    }
+
+    res.json({
+        success: true,
+        ...sharedView(entry)
     });
 });
 
@@ -40,291 +310,2017 @@ app.get("/", (req, res) => {
  * CREATE SCENARIO (START STREAMING)
  * -------------------------
  */
-app.post("/api/create", async (req, res) => {
+app.post("/api/create", auth.rateLimit, auth.requireQuota, async (req, res) => {
     try {
-        const {
-            country,
-            sector,
-            description,
-            latitude,
-            longitude,
-            locationLabel,
-            trends,
-            analysisFocus
-        } = req.body;
+        const invalid = validateCreatePayload(req.body);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                ...invalid
+            });
+        }
+
+        const share = quotaShare(req, 1);
+        if (share.error) {
+            return res.status(429).json({
+                success: false,
+                ...share.error
+            });
+        }
+
+        const { jobId, cache } = createOrReuseJob(req.body, { clientId: req.client?.id || null }, { quotaMaxTokens: share.maxTokens });
+
+        // Return immediately
+        res.json({
+            success: true,
+            jobId,
+            status: jobs.get(jobId).status,
+            cache
+        });
+
+    } catch (err) {
+        logger.error("Create scenario failed", { err });
+        res.status(500).json({
+            success: false,
+            error: err.message || "Failed to create scenario"
+        });
+    }
+});
+
+/**
+ * -------------------------
+ * GET STATUS (POLLING ENDPOINT)
+ * -------------------------
+ */
+app.get("/api/status/:jobId", (req, res) => {
+    const job = findOwned(jobs, req, req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    const { sections, classification } = parseSections(job.text, {
+        final: job.status === "completed"
+    });
+
+    res.json({
+        success: true,
+        status: job.status,
+        scenario: job.text || "",
+        sections,
+        classification,
+        validation: job.validation || null,
+        repaired: isRepaired(job),
+        repair: job.repair || null,
+        error: job.error,
+        errorCode: job.errorCode || null,
+        errorDetail: job.errorDetail || null,
+        attempts: job.attempts || 0,
+        maxAttempts: STREAM_MAX_ATTEMPTS,
+        attemptPhase: job.attemptPhase || null,
+        failures: job.failures || [],
+        retry: job.retry || null,
+        tokensUsed: job.tokensUsed,
+        tokensEstimated: Boolean(job.tokensEstimated),
+        usage: job.usage || null,
+        cost: jobCostSummary(job),
+        budget: job.budget || null,
+        model: job.model || null,
+        promptVersion: job.promptVersion || null,
+        geo: job.geo || null,
+        parentJobId: job.followup?.parentJobId || null,
+        followup: job.followup || null,
+        followups: listFollowups(job),
+        queuePosition: jobQueue.position(req.params.jobId),
+        estimatedStartAt: jobQueue.estimatedStartAt(req.params.jobId),
+        createdAt: job.createdAt,
+        completedAt: job.completedAt || null,
+        progress: jobProgress(job)
+    });
+});
+
+/**
+ * -------------------------
+ * LIVE STREAM (SERVER-SENT EVENTS)
+ * Sends text deltas as they arrive, then status/usage/completion events.
+ * Reconnecting clients resume via Last-Event-ID (header or ?lastEventId=).
+ * -------------------------
+ */
+app.get("/api/stream/:jobId", (req, res) => {
+    const jobId = req.params.jobId;
+    const job = findOwned(jobs, req, jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write("retry: 2000\n\n");
+
+    const lastEventId = Number(req.get("Last-Event-ID") ?? req.query.lastEventId) || 0;
+
+    // Replay anything the client has not seen yet. After a restart the history is
+    // rebuilt (snapshot, status, final event) and ids the client saw may be missing
+    // from it, so such clients get all of it; the snapshot replaces their copy.
+    const replayAll = job.eventsRebuilt || lastEventId > job.lastEventId;
+    for (const event of job.events) {
+        if (replayAll || event.id > lastEventId) writeSseEvent(res, event);
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+        return res.end();
+    }
+
+    const onEvent = (event) => {
+        writeSseEvent(res, event);
+        if (TERMINAL_STATUSES.includes(event.event)) close();
+    };
+
+    // Keep proxies (Render, Cloudflare) from closing an idle connection
+    const heartbeat = setInterval(() => {
+        if (!jobs.has(jobId)) return close();
+        res.write(": ping\n\n");
+    }, 15000);
+
+    function close() {
+        clearInterval(heartbeat);
+        jobEvents.off(jobId, onEvent);
+        res.end();
+    }
+
+    jobEvents.on(jobId, onEvent);
+    req.on("close", close);
+});
+
+/**
+ * -------------------------
+ * REPORT EXPORT (?format=md|html|pdf)
+ * -------------------------
+ */
+app.get("/api/jobs/:jobId/export", (req, res) => {
+    const jobId = req.params.jobId;
+    const job = findOwned(jobs, req, jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    const format = String(req.query.format || "md").toLowerCase();
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        return res.status(400).json({
+            success: false,
+            error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+        });
+    }
+
+    if (job.status !== "completed") {
+        return res.status(409).json({
+            success: false,
+            error: `Only completed jobs can be exported (job is ${job.status})`,
+            status: job.status
+        });
+    }
+
+    const slug = String(job.input?.country || "scenario").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    res.set("Content-Type", exporter.contentType);
+    res.set("Content-Disposition", `attachment; filename="strateko-${slug || "scenario"}-${jobId.slice(0, 8)}.${format}"`);
+    res.send(exporter.render(buildReport(job)));
+});
+
+/**
+ * -------------------------
+ * WEBHOOK DELIVERIES
+ * Attempt log for the job's callbackUrl (one delivery per finished state)
+ * -------------------------
+ */
+app.get("/api/jobs/:jobId/deliveries", (req, res) => {
+    const job = findOwned(jobs, req, req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    res.json({
+        success: true,
+        jobId: req.params.jobId,
+        callbackUrl: job.callbackUrl || null,
+        deliveries: job.deliveries || []
+    });
+});
+
+/**
+ * -------------------------
+ * ANALYSIS MODES
+ * -------------------------
+ */
+app.get("/api/modes", (req, res) => {
+    const version = req.query.version || PROMPT_VERSION;
+    if (!hasPromptVersion(version)) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown prompt version "${version}"`
+        });
+    }
+
+    res.json({
+        success: true,
+        promptVersion: version,
+        modes: listModes(version),
+        versions: listPromptVersions()
+    });
+});
+
+/**
+ * -------------------------
+ * TREND CATALOG
+ * -------------------------
+ */
+app.get("/api/trends", (req, res) => {
+    res.json({
+        success: true,
+        trends: listTrends()
+    });
+});
+
+/**
+ * -------------------------
+ * USAGE REPORT
+ * Tokens and estimated cost of finished jobs by day (UTC), mode and client,
+ * optionally for ?from=YYYY-MM-DD&to=YYYY-MM-DD. With API keys on, clients
+ * only see their own usage.
+ * -------------------------
+ */
+app.get("/api/usage", (req, res) => {
+    const { from, to } = req.query;
+    const badDays = Object.entries({ from, to })
+        .filter(([, day]) => day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day))
+        .map(([field]) => ({ field, message: `${field} must be a date (YYYY-MM-DD)` }));
+
+    if (badDays.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: "Invalid date range",
+            errors: badDays
+        });
+    }
+
+    res.json({
+        success: true,
+        from: from || null,
+        to: to || null,
+        ...usageLedger.report({ from, to, clientId: auth.enabled ? req.client.id : undefined })
+    });
+});
+
+/**
+ * -------------------------
+ * FOLLOW-UP QUESTIONS
+ * Continues a completed job's conversation as a child job
+ * (same status / stream / export endpoints as any other job)
+ * -------------------------
+ */
+app.post("/api/jobs/:jobId/followup", auth.rateLimit, auth.requireQuota, (req, res) => {
+    try {
+        const parentJobId = req.params.jobId;
+        const parent = findOwned(jobs, req, parentJobId);
+
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                error: "Job not found"
+            });
+        }
+
+        if (parent.status !== "completed") {
+            return res.status(409).json({
+                success: false,
+                error: `Follow-ups need a completed job (job is ${parent.status})`,
+                status: parent.status
+            });
+        }
+
+        const { question, trends, allowUnknownTrends, autoRepair, callbackUrl, priority = 0, budget } = req.body;
+
+        const invalid = validateFollowupPayload({ question, trends, priority });
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: invalid
+            });
+        }
 
-        // Validation
-        if (!country || !sector || !description) {
+        const invalidBudget = validateJobBudget(budget);
+        if (invalidBudget) {
             return res.status(400).json({
                 success: false,
-                error: "Missing required inputs: country, sector, description"
+                ...invalidBudget
             });
         }
 
-        if (!analysisFocus || !["project", "authorizationFramework"].includes(analysisFocus)) {
-            return res.status(400).json({
-                success: false,
-                error: "analysisFocus must be 'project' or 'authorizationFramework'"
-            });
-        }
+        const invalidCallback = validateCallback(callbackUrl);
+        if (invalidCallback) {
+            return res.status(400).json({
+                success: false,
+                ...invalidCallback
+            });
+        }
+
+        const trendErrors = validateTrends(trends, { allowUnknown: allowUnknownTrends === true });
+        if (trendErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid trends",
+                errors: trendErrors
+            });
+        }
+
+        const share = quotaShare(req, 1);
+        if (share.error) {
+            return res.status(429).json({
+                success: false,
+                ...share.error
+            });
+        }
+
+        const parentTrends = normalizeTrends(parent.input.trends);
+        const mergedTrends = { ...parentTrends, ...normalizeTrends(trends) };
+        const trendChanges = diffTrends(parentTrends, mergedTrends);
+
+        const followup = {
+            parentJobId,
+            question: question?.trim() || null,
+            trendChanges
+        };
+
+        const jobId = startScenarioJob(
+            {
+                ...parent.input,
+                trends: mergedTrends,
+                // Jobs from before versioned templates ran the original prompt
+                promptVersion: parent.promptVersion || "strateko-v1",
+                autoRepair,
+                callbackUrl,
+                priority,
+                budget
+            },
+            { clientId: req.client?.id || null, followup },
+            {
+                userPrompt: buildFollowupPrompt(followup),
+                conversation: {
+                    previousResponseId: parent.responseId || null,
+                    history: conversationHistory(parentJobId)
+                },
+                quotaMaxTokens: share.maxTokens
+            }
+        );
+
+        parent.followups = [...(parent.followups || []), jobId];
+        jobs.save(parentJobId);
+
+        res.json({
+            success: true,
+            jobId,
+            parentJobId,
+            trendChanges,
+            status: "queued"
+        });
+
+    } catch (err) {
+        logger.error("Create follow-up failed", { parentJobId: req.params.jobId, err });
+        res.status(500).json({
+            success: false,
+            error: err.message || "Failed to create follow-up"
+        });
+    }
+});
+
+/**
+ * -------------------------
+ * TREND SENSITIVITY SWEEP
+ * Normal create payload plus `vary`; one child job per trend-level combination
+ * -------------------------
+ */
+app.post("/api/sweeps", auth.rateLimit, auth.requireQuota, (req, res) => {
+    try {
+        const { vary, ...payload } = req.body;
+
+        const invalid = validateCreatePayload(payload);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                ...invalid
+            });
+        }
+
+        const { axes, error: varyError } = parseSweepVary(vary);
+        if (varyError) {
+            return res.status(400).json({
+                success: false,
+                error: varyError
+            });
+        }
+
+        // Vary by canonical name so it overrides the matching base trend
+        for (const axis of axes) {
+            const trend = resolveTrend(axis.trend);
+            if (trend) {
+                axis.trend = trend.label;
+            } else if (!payload.allowUnknownTrends) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Invalid trends",
+                    errors: [{ field: `vary.${axis.trend}`, message: `Unknown trend "${axis.trend}"` }]
+                });
+            }
+        }
+
+        const variants = expandSweepVariants(normalizeTrends(payload.trends), axes);
+        if (variants.length > SWEEP_MAX_VARIANTS) {
+            return res.status(400).json({
+                success: false,
+                error: `Sweep would create ${variants.length} jobs; the limit is ${SWEEP_MAX_VARIANTS}`
+            });
+        }
+
+        const share = quotaShare(req, variants.length);
+        if (share.error) {
+            return res.status(429).json({
+                success: false,
+                ...share.error
+            });
+        }
+
+        const sweepId = crypto.randomUUID();
+        const clientId = req.client?.id || null;
+        sweeps.set(sweepId, {
+            createdAt: Date.now(),
+            clientId,
+            input: payload,
+            axes,
+            variants: variants.map(variant => ({
+                index: variant.index,
+                varied: variant.varied,
+                jobId: startScenarioJob(
+                    { ...payload, trends: variant.trends },
+                    { sweepId, variant: variant.varied, clientId },
+                    { quotaMaxTokens: share.maxTokens }
+                )
+            }))
+        });
+
+        res.json({
+            success: true,
+            sweepId,
+            jobIds: sweeps.get(sweepId).variants.map(variant => variant.jobId),
+            status: "queued"
+        });
+
+    } catch (err) {
+        logger.error("Create sweep failed", { err });
+        res.status(500).json({
+            success: false,
+            error: err.message || "Failed to create sweep"
+        });
+    }
+});
+
+app.get("/api/sweeps/:sweepId", (req, res) => {
+    const sweep = findOwned(sweeps, req, req.params.sweepId);
+
+    if (!sweep) {
+        return res.status(404).json({
+            success: false,
+            error: "Sweep not found"
+        });
+    }
+
+    // Child jobs may already have been cleaned up
+    const variants = sweep.variants.map(variant => {
+        const job = jobs.get(variant.jobId);
+        return {
+            ...variant,
+            status: job ? job.status : "expired",
+            text: job ? job.text : "",
+            tokensUsed: job ? job.tokensUsed : 0
+        };
+    });
+
+    const { status, counts } = sweepStatus(variants.map(variant => variant.status));
+    const comparison = compareSweepVariants(variants);
+
+    res.json({
+        success: true,
+        sweepId: req.params.sweepId,
+        status,
+        counts,
+        axes: sweep.axes,
+        variants: variants.map(variant => ({
+            index: variant.index,
+            jobId: variant.jobId,
+            varied: variant.varied,
+            status: variant.status,
+            classification: comparison.D.values[variant.index].value,
+            dominantConstraint: comparison.C.values[variant.index].value,
+            tokensUsed: variant.tokensUsed
+        })),
+        comparison
+    });
+});
+
+/**
+ * -------------------------
+ * BATCHES
+ * Many create payloads at once: a JSON array ({ rows, defaults }) or a CSV
+ * body (Content-Type: text/csv). Every row is validated like /api/create;
+ * by default one bad row rejects the batch, ?skipInvalid=true starts the rest.
+ * -------------------------
+ */
+app.post("/api/batches", auth.rateLimit, express.text({ type: ["text/csv", "application/csv"], limit: "1mb" }), auth.requireQuota, (req, res) => {
+    try {
+        const parsed = batchPayloads(req);
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const { payloads, skipInvalid } = parsed;
+        if (payloads.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: "Batch has no rows"
+            });
+        }
+        if (payloads.length > BATCH_MAX_ROWS) {
+            return res.status(400).json({
+                success: false,
+                error: `Batch has ${payloads.length} rows; the limit is ${BATCH_MAX_ROWS}`
+            });
+        }
+
+        // Rows are numbered from 1 (the first data row after a CSV header)
+        const rows = payloads.map((payload, index) => {
+            const invalid = payload && typeof payload === "object" && !Array.isArray(payload)
+                ? validateCreatePayload(payload)
+                : { error: "Row must be an object of create fields" };
+            return { row: index + 1, payload, invalid };
+        });
+
+        const invalidRows = rows
+            .filter(row => row.invalid)
+            .map(({ row, invalid }) => ({ row, ...invalid }));
+
+        if (invalidRows.length === rows.length || (invalidRows.length > 0 && !skipInvalid)) {
+            return res.status(400).json({
+                success: false,
+                error: `${invalidRows.length} of ${rows.length} rows are invalid` +
+                    (invalidRows.length < rows.length ? " (send skipInvalid=true to start the valid rows anyway)" : ""),
+                invalidRows
+            });
+        }
+
+        const share = quotaShare(req, rows.length - invalidRows.length);
+        if (share.error) {
+            return res.status(429).json({
+                success: false,
+                ...share.error
+            });
+        }
+
+        const batchId = crypto.randomUUID();
+        const clientId = req.client?.id || null;
+        const entries = rows.map(({ row, payload, invalid }) => {
+            const entry = {
+                row,
+                country: payload?.country ?? null,
+                sector: payload?.sector ?? null,
+                analysisFocus: payload?.analysisFocus ?? null
+            };
+            if (invalid) return { ...entry, ...invalid };
+
+            const { jobId, cache } = createOrReuseJob(payload, { clientId, batchId, batchRow: row }, { quotaMaxTokens: share.maxTokens });
+            return { ...entry, jobId, cache };
+        });
+
+        batches.set(batchId, {
+            createdAt: Date.now(),
+            clientId,
+            format: parsed.format,
+            rows: entries
+        });
+        logger.info("Batch created", { batchId, clientId, rows: entries.length, invalid: invalidRows.length });
+
+        res.json({
+            success: true,
+            batchId,
+            total: rows.length,
+            accepted: rows.length - invalidRows.length,
+            jobIds: entries.filter(entry => entry.jobId).map(entry => entry.jobId),
+            invalidRows,
+            status: "queued"
+        });
+
+    } catch (err) {
+        logger.error("Create batch failed", { err });
+        res.status(500).json({
+            success: false,
+            error: err.message || "Failed to create batch"
+        });
+    }
+});
+
+app.get("/api/batches/:batchId", (req, res) => {
+    const batch = findOwned(batches, req, req.params.batchId);
+
+    if (!batch) {
+        return res.status(404).json({
+            success: false,
+            error: "Batch not found"
+        });
+    }
+
+    const results = batchResults(req.params.batchId, batch);
+
+    res.json({
+        success: true,
+        ...results,
+        rows: results.rows.map(({ sections, scenario, ...row }) => ({ ...row, characterCount: scenario.length }))
+    });
+});
+
+app.get("/api/batches/:batchId/results", (req, res) => {
+    const batchId = req.params.batchId;
+    const batch = findOwned(batches, req, batchId);
+
+    if (!batch) {
+        return res.status(404).json({
+            success: false,
+            error: "Batch not found"
+        });
+    }
+
+    const format = String(req.query.format || "csv").toLowerCase();
+    const exporter = BATCH_RESULT_FORMATS[format];
+    if (!exporter) {
+        return res.status(400).json({
+            success: false,
+            error: `format must be one of: ${Object.keys(BATCH_RESULT_FORMATS).join(", ")}`
+        });
+    }
+
+    // Available while the batch runs; unfinished rows carry their current status
+    res.set("Content-Type", exporter.contentType);
+    res.set("Content-Disposition", `attachment; filename="strateko-batch-${batchId.slice(0, 8)}.${format}"`);
+    res.send(exporter.render(batchResults(batchId, batch)));
+});
+
+/**
+ * -------------------------
+ * SCENARIO LIBRARY
+ * Completed jobs saved with a title and tags; searchable, shareable through a
+ * read-only token and re-runnable from the saved create payload
+ * -------------------------
+ */
+app.post("/api/library", (req, res) => {
+    const { jobId, title, tags } = req.body || {};
+    const job = typeof jobId === "string" ? findOwned(jobs, req, jobId) : undefined;
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    if (job.status !== "completed") {
+        return res.status(409).json({
+            success: false,
+            error: `Only completed jobs can be saved (job is ${job.status})`,
+            status: job.status
+        });
+    }
+
+    const errors = validateLibraryFields({ title, tags });
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: "Invalid library entry",
+            errors
+        });
+    }
+
+    const clientId = req.client?.id || null;
+    const existing = [...library.entries()].find(([, entry]) => entry.jobId === jobId && entry.clientId === clientId);
+    if (existing) {
+        return res.status(409).json({
+            success: false,
+            error: "This job is already in the library",
+            entryId: existing[0]
+        });
+    }
+
+    const entryId = crypto.randomUUID();
+    library.set(entryId, libraryEntryFromJob(jobId, job, { title, tags, clientId }));
+    logger.info("Scenario saved to library", { entryId, jobId, clientId });
+
+    res.json({
+        success: true,
+        entryId,
+        ...librarySummary(entryId, library.get(entryId))
+    });
+});
+
+app.get("/api/library", (req, res) => {
+    const { query, errors } = parseLibraryQuery(req.query);
+    if (errors) {
+        return res.status(400).json({
+            success: false,
+            error: "Invalid search",
+            errors
+        });
+    }
+
+    // Newest first
+    const matches = [...library.entries()]
+        .filter(([, entry]) => !auth.enabled || entry.clientId === req.client?.id)
+        .filter(([, entry]) => matchesLibraryQuery(entry, query))
+        .sort(([, a], [, b]) => b.savedAt - a.savedAt);
+
+    res.json({
+        success: true,
+        total: matches.length,
+        limit: query.limit,
+        offset: query.offset,
+        entries: matches.slice(query.offset, query.offset + query.limit).map(([entryId, entry]) => librarySummary(entryId, entry))
+    });
+});
+
+app.get("/api/library/:entryId", (req, res) => {
+    const entryId = req.params.entryId;
+    const entry = findOwned(library, req, entryId);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: "Library entry not found"
+        });
+    }
+
+    const { sections } = parseSections(entry.scenario, { final: true });
+    const { clientId, share, ...rest } = entry;
+
+    res.json({
+        success: true,
+        entryId,
+        ...rest,
+        sections,
+        share: share ? { ...share, path: `/shared/${share.token}` } : null
+    });
+});
+
+app.patch("/api/library/:entryId", (req, res) => {
+    const entryId = req.params.entryId;
+    const entry = findOwned(library, req, entryId);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: "Library entry not found"
+        });
+    }
+
+    const { title, tags } = req.body || {};
+    const errors = validateLibraryFields({ title, tags }, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: "Invalid library entry",
+            errors
+        });
+    }
+
+    if (title !== undefined) entry.title = title.trim();
+    if (tags !== undefined) entry.tags = normalizeTags(tags);
+    library.set(entryId, entry);
+
+    res.json({
+        success: true,
+        ...librarySummary(entryId, entry)
+    });
+});
+
+app.delete("/api/library/:entryId", (req, res) => {
+    const entryId = req.params.entryId;
+
+    if (!findOwned(library, req, entryId)) {
+        return res.status(404).json({
+            success: false,
+            error: "Library entry not found"
+        });
+    }
+
+    library.delete(entryId);
+    logger.info("Library entry deleted", { entryId });
+
+    res.json({
+        success: true,
+        entryId,
+        deleted: true
+    });
+});
+
+// Share token for read-only access (GET /shared/:token); asking again returns the same token
+app.post("/api/library/:entryId/share", (req, res) => {
+    const entryId = req.params.entryId;
+    const entry = findOwned(library, req, entryId);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: "Library entry not found"
+        });
+    }
+
+    if (!entry.share) {
+        entry.share = { token: createShareToken(), createdAt: Date.now() };
+        library.set(entryId, entry);
+        logger.info("Library entry shared", { entryId });
+    }
+
+    res.json({
+        success: true,
+        entryId,
+        token: entry.share.token,
+        path: `/shared/${entry.share.token}`,
+        createdAt: entry.share.createdAt
+    });
+});
+
+// Revokes the share token (sharing again issues a new one)
+app.delete("/api/library/:entryId/share", (req, res) => {
+    const entryId = req.params.entryId;
+    const entry = findOwned(library, req, entryId);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: "Library entry not found"
+        });
+    }
+
+    const wasShared = Boolean(entry.share);
+    entry.share = null;
+    library.set(entryId, entry);
+
+    res.json({
+        success: true,
+        entryId,
+        revoked: wasShared
+    });
+});
+
+// New job from the saved create payload; promptVersion, autoRepair, priority,
+// budget and callbackUrl may be overridden
+app.post("/api/library/:entryId/rerun", auth.rateLimit, auth.requireQuota, (req, res) => {
+    try {
+        const entryId = req.params.entryId;
+        const entry = findOwned(library, req, entryId);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: "Library entry not found"
+            });
+        }
+
+        const overrides = Object.fromEntries(RERUN_OVERRIDES
+            .filter(field => req.body?.[field] !== undefined)
+            .map(field => [field, req.body[field]]));
+        const payload = { ...entry.payload, ...overrides };
+
+        // The trend catalog or prompt versions may have changed since it was saved
+        const invalid = validateCreatePayload(payload);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                ...invalid
+            });
+        }
+
+        const share = quotaShare(req, 1);
+        if (share.error) {
+            return res.status(429).json({
+                success: false,
+                ...share.error
+            });
+        }
+
+        const jobId = startScenarioJob(
+            payload,
+            { clientId: req.client?.id || null, libraryEntryId: entryId },
+            { quotaMaxTokens: share.maxTokens }
+        );
+        entry.runs = [...(entry.runs || []), { jobId, at: Date.now() }];
+        library.set(entryId, entry);
+
+        res.json({
+            success: true,
+            entryId,
+            jobId,
+            status: jobs.get(jobId).status
+        });
+
+    } catch (err) {
+        logger.error("Library re-run failed", { err });
+        res.status(500).json({
+            success: false,
+            error: err.message || "Failed to re-run scenario"
+        });
+    }
+});
+
+/**
+ * -------------------------
+ * CANCEL JOB
+ * Aborts the model stream (or chunked delivery) and keeps the partial text
+ * -------------------------
+ */
+app.post("/api/cancel/:jobId", cancelJobHandler);
+app.delete("/api/jobs/:jobId", cancelJobHandler);
+
+function cancelJobHandler(req, res) {
+    const jobId = req.params.jobId;
+    const job = findOwned(jobs, req, jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+            success: false,
+            error: `Job already ${job.status}, nothing to cancel`,
+            status: job.status
+        });
+    }
+
+    jobQueue.remove(jobId);
+    jobControllers.get(jobId)?.abort();
+
+    // Aborted mid-response: usage never arrives, so estimate the prompt and partial output.
+    // Waiting to retry, the failed attempt is already counted.
+    if (job.status === "in_progress" && !job.usageReceived && !job.retry) {
+        addJobUsage(jobId, unreportedUsage(job), { estimated: true });
+    }
+
+    finishJob(jobId, "cancelled");
+    logger.info("Job cancelled", { jobId, partialLength: job.text.length, tokensUsed: job.tokensUsed });
+
+    res.json({
+        success: true,
+        status: "cancelled",
+        scenario: job.text,
+        tokensUsed: job.tokensUsed,
+        tokensEstimated: Boolean(job.tokensEstimated),
+        usage: job.usage || null,
+        cost: jobCostSummary(job)
+    });
+}
+
+/**
+ * -------------------------
+ * OWNERSHIP
+ * With API keys on, clients only see their own jobs, sweeps, batches and
+ * library entries (someone else's id looks exactly like an unknown one)
+ * -------------------------
+ */
+function findOwned(store, req, id) {
+    const record = store.get(id);
+    if (!record) return undefined;
+    if (auth.enabled && record.clientId !== req.client?.id) return undefined;
+    return record;
+}
+
+// Library entry behind a share token (compared in constant time)
+function findSharedEntry(token) {
+    const given = crypto.createHash("sha256").update(String(token)).digest();
+    for (const entry of library.values()) {
+        if (entry.share && crypto.timingSafeEqual(crypto.createHash("sha256").update(entry.share.token).digest(), given)) {
+            return entry;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * -------------------------
+ * JOB CREATION
+ * Shared by /api/create and everything that starts child jobs
+ * -------------------------
+ */
+
+// Returns { error, errors? } for a 400 response, or null if the create payload is usable
+function validateCreatePayload({ country, sector, description, latitude, longitude, trends, analysisFocus, promptVersion, priority = 0, allowUnknownTrends, callbackUrl, budget } = {}) {
+    if (!country || !sector || !description) {
+        return { error: "Missing required inputs: country, sector, description" };
+    }
+
+    const version = promptVersion ?? PROMPT_VERSION;
+    if (!hasPromptVersion(version)) {
+        return { error: `Unknown promptVersion "${version}"` };
+    }
+
+    if (!analysisFocus || !isModeAvailable(analysisFocus, version)) {
+        const modes = listModes(version).map(mode => `'${mode.id}'`).join(", ");
+        return { error: `analysisFocus must be one of: ${modes}` };
+    }
+
+    if (!Number.isInteger(priority)) {
+        return { error: "priority must be an integer (higher runs first)" };
+    }
+
+    const trendErrors = validateTrends(trends, { allowUnknown: allowUnknownTrends === true });
+    if (trendErrors.length > 0) {
+        return { error: "Invalid trends", errors: trendErrors };
+    }
+
+    const coordinateErrors = validateCoordinates({ latitude, longitude });
+    if (coordinateErrors.length > 0) {
+        return { error: "Invalid coordinates", errors: coordinateErrors };
+    }
+
+    return validateJobBudget(budget) || validateCallback(callbackUrl);
+}
+
+// A cost cap needs a price for the configured model, or it could never trigger
+function validateJobBudget(budget) {
+    const budgetError = validateBudget(budget);
+    if (budgetError) return { error: budgetError };
+    if (budget?.maxCost !== undefined && !pricing.priceFor(provider.model, providerSettings.serviceTier)) {
+        return { error: `budget.maxCost is not available: no price is listed for model "${provider.model}"` };
+    }
+    return null;
+}
+
+// Quota held by a client's queued and running jobs: what they are still expected to
+// use (their usage so far is already counted), up to their own maxTokens
+function reservedQuota(clientId) {
+    let reserved = 0;
+    for (const job of jobs.values()) {
+        if (job.clientId !== clientId || TERMINAL_STATUSES.includes(job.status)) continue;
+        const expected = Math.min(job.budget?.maxTokens ?? Infinity, QUOTA_TOKENS_PER_JOB);
+        reserved += Math.max(0, expected - job.tokensUsed);
+    }
+    return reserved;
+}
+
+// For routes that start `count` jobs: { error } when the caller's remaining quota,
+// less what its in-flight jobs hold, can't cover them, else { maxTokens }, each
+// job's share of it (null without quotas)
+function quotaShare(req, count) {
+    const remaining = req.quota?.remaining ?? Infinity;
+    if (!Number.isFinite(remaining)) return { maxTokens: null };
+
+    const reserved = reservedQuota(req.client.id);
+    const available = Math.max(0, remaining - reserved);
+    const covered = Math.floor(available / QUOTA_TOKENS_PER_JOB);
+    if (count > covered) {
+        return {
+            error: {
+                error: `Token quota left (${available} after ${reserved} held by running jobs) covers about ${covered} job(s); this request starts ${count}`,
+                quota: { daily: req.quota.daily, monthly: req.quota.monthly, reserved }
+            }
+        };
+    }
+    return { maxTokens: Math.floor(available / count) };
+}
+
+function withQuotaBudget(budget, quotaMaxTokens) {
+    if (!quotaMaxTokens) return budget || null;
+    return { ...budget, maxTokens: Math.min(budget?.maxTokens ?? Infinity, quotaMaxTokens) };
+}
+
+// callbackUrl is optional, but unsigned callbacks are never sent
+function validateCallback(callbackUrl) {
+    if (callbackUrl === undefined || callbackUrl === null) return null;
+    if (!WEBHOOK_SECRET) {
+        return { error: "callbackUrl is not available: the server has no WEBHOOK_SECRET configured" };
+    }
+    const urlError = validateCallbackUrl(callbackUrl);
+    return urlError ? { error: urlError } : null;
+}
+
+// Everything that shapes the model output; keys are per client so jobs are never shared across keys
+function requestCacheKey(payload, clientId) {
+    return cacheKey({
+        clientId,
+        country: payload.country,
+        sector: payload.sector,
+        description: payload.description,
+        latitude: payload.latitude,
+        longitude: payload.longitude,
+        locationLabel: payload.locationLabel,
+        trends: normalizeTrends(payload.trends),
+        analysisFocus: payload.analysisFocus,
+        promptVersion: payload.promptVersion ?? PROMPT_VERSION,
+        autoRepair: typeof payload.autoRepair === "boolean" ? payload.autoRepair : AUTO_REPAIR_DEFAULT,
+        // A budget can cut the output short
+        budget: payload.budget || null,
+        model: `${provider.name}/${provider.model}`
+    });
+}
+
+// Joins/reuses an identical job through the result cache, or starts a new one.
+// Returns { jobId, cache: "hit" | "joined" | "miss" | "bypassed" }.
+// `quotaMaxTokens` caps a new job's budget without changing its cache key.
+function createOrReuseJob(payload, extra, { quotaMaxTokens } = {}) {
+    const { clientId } = extra;
+
+    // Callbacks are per request, so those requests always get their own job
+    const key = requestCacheKey(payload, clientId);
+    const bypass = payload.fresh === true || Boolean(payload.callbackUrl);
+    if (bypass) {
+        resultCache.bypass();
+    } else {
+        const cached = resultCache.lookup(key);
+        if (cached) {
+            logger.info("Identical request reused a job", { jobId: cached.jobId, cache: cached.cache, clientId });
+            return cached;
+        }
+    }
+
+    const jobId = startScenarioJob(payload, { ...extra, cacheKey: key }, { quotaMaxTokens });
+    resultCache.remember(key, jobId);
+    return { jobId, cache: bypass ? "bypassed" : "miss" };
+}
+
+// Creates the job record and queues generation; `extra` is merged into the record.
+// Follow-ups pass their own userPrompt and the conversation to continue;
+// `quotaMaxTokens` (a share of the caller's quota) tightens budget.maxTokens.
+function startScenarioJob(payload, extra = {}, { userPrompt, conversation, quotaMaxTokens } = {}) {
+    const {
+        country,
+        sector,
+        description,
+        latitude,
+        longitude,
+        locationLabel,
+        trends,
+        analysisFocus,
+        promptVersion = PROMPT_VERSION,
+        autoRepair,
+        callbackUrl,
+        priority = 0,
+        budget
+    } = payload;
+
+    // Derived offline from the coordinates; a country mismatch is flagged, not rejected
+    const geo = enrichLocation({ latitude, longitude, country });
+
+    const jobId = crypto.randomUUID();
+    jobs.set(jobId, {
+        status: "queued",
+        input: {
+            country,
+            sector,
+            description,
+            latitude,
+            longitude,
+            locationLabel,
+            trends,
+            analysisFocus
+        },
+        geo,
+        text: "",
+        error: null,
+        createdAt: Date.now(),
+        completedAt: null,
+        tokensUsed: 0,
+        usage: emptyUsage(),
+        cost: pricing.costOf(emptyUsage(), provider.model, providerSettings.serviceTier),
+        budget: withQuotaBudget(budget, quotaMaxTokens),
+        model: { provider: provider.name, model: provider.model, serviceTier: providerSettings.serviceTier },
+        maxOutputTokens: providerSettings.maxOutputTokens,
+        // Replayed when the job is re-run from the scenario library
+        request: replayablePayload({ ...payload, promptVersion }),
+        promptVersion,
+        priority,
+        callbackUrl: callbackUrl || null,
+        ...extra,
+        events: [],
+        lastEventId: 0,
+        sectionsSent: []
+    });
+    pushJobEvent(jobId, "status", { status: "queued" });
+    jobsCreated.inc();
+    logger.info("Job created", {
+        jobId,
+        analysisFocus,
+        promptVersion,
+        clientId: extra.clientId,
+        parentJobId: extra.followup?.parentJobId,
+        sweepId: extra.sweepId,
+        batchId: extra.batchId
+    });
+
+    if (geo?.countryMatch === false) {
+        logger.warn("Coordinates are outside the stated country", { jobId, latitude: geo.latitude, longitude: geo.longitude, country });
+    }
+
+    const input = userPrompt || buildUserPrompt({
+        country,
+        sector,
+        description,
+        latitude,
+        longitude,
+        locationLabel,
+        trends,
+        geo
+    });
+
+    const instructions = buildInstructions(analysisFocus, promptVersion);
+
+    jobQueue.enqueue(jobId, () => runStreamingJob(jobId, instructions, input, {
+        autoRepair: typeof autoRepair === "boolean" ? autoRepair : AUTO_REPAIR_DEFAULT,
+        conversation
+    }), { priority });
+
+    return jobId;
+}
+
+/**
+ * -------------------------
+ * STREAMING WORKER
+ * Generates, validates against the output rules and optionally repairs once
+ * -------------------------
+ */
+async function runStreamingJob(jobId, instructions, input, { autoRepair = false, conversation } = {}) {
+    // Cancelled before it started
+    if (jobs.get(jobId)?.status !== "queued") return;
+
+    const log = logger.child({ jobId });
+    const controller = new AbortController();
+    jobControllers.set(jobId, controller);
+    const { signal } = controller;
+
+    try {
+        // Update status to in_progress (job duration is measured from here)
+        jobs.get(jobId).startedAt = Date.now();
+        setJobStatus(jobId, "in_progress");
+
+        let fullText = await streamWithRetry(jobId, instructions, input, signal, conversation);
+        let validation = validateScenario(fullText);
+
+        // One repair attempt when the output breaks a blocking rule (unless the budget is used up)
+        const violations = blockingViolations(validation);
+        const overBudget = budgetReason(jobs.get(jobId));
+        if (autoRepair && violations.length > 0 && overBudget) {
+            log.info("Validation failed, repair skipped: budget reached", { rules: violations.map(v => v.rule), budget: overBudget });
+        } else if (autoRepair && violations.length > 0) {
+            log.info("Validation failed, requesting repair", { rules: violations.map(v => v.rule) });
+
+            const job = jobs.get(jobId);
+            if (job) {
+                job.repair = {
+                    attempted: true,
+                    violations,
+                    originalText: fullText
+                };
+                job.sectionsSent = [];
+            }
+            pushJobEvent(jobId, "repair", { violations });
+            setJobText(jobId, "");
+
+            // The repair is optional: if it fails, the job completes with the original output
+            try {
+                fullText = await streamWithRetry(jobId, instructions, buildRepairPrompt(input, fullText, violations), signal, conversation, "repair");
+                validation = validateScenario(fullText);
+            } catch (err) {
+                if (signal.aborted) throw err;
 
-        // Create job
-        const jobId = crypto.randomUUID();
-        jobs.set(jobId, {
-            status: "queued",
-            text: "",
-            error: null,
-            createdAt: Date.now(),
-            tokensUsed: 0
-        });
+                const failure = err.failure || classifyError(err);
+                log.warn("Repair failed, keeping the original output", { errorCode: failure.code, err });
 
-        // Return immediately
-        res.json({
-            success: true,
-            jobId,
-            status: "queued"
-        });
+                if (job) {
+                    const { originalText, ...repair } = job.repair;
+                    job.repair = { ...repair, failed: failure.code, error: failure.detail };
+                    job.sectionsSent = [];
+                }
+                setJobText(jobId, fullText);
+            }
+        }
 
-        // Start streaming in background
-        const userPrompt = buildUserPrompt({
-            country,
-            sector,
-            description,
-            latitude,
-            longitude,
-            locationLabel,
-            trends
+        // Mark completed
+        const finalJob = jobs.get(jobId);
+        if (finalJob) {
+            finalJob.validation = validation;
+            pushCompletedSections(jobId, true);
+            finishJob(jobId, "completed");
+        }
+
+        log.info("Job completed", {
+            characters: fullText.length,
+            tokensUsed: finalJob?.tokensUsed,
+            valid: validation.valid,
+            repaired: Boolean(finalJob && isRepaired(finalJob)),
+            durationMs: finalJob ? finalJob.completedAt - finalJob.startedAt : undefined
         });
 
-        const instructions = getInstructionsForMode(analysisFocus);
+    } catch (err) {
+        // Cancellation already recorded by the cancel endpoint
+        if (signal.aborted) {
+            log.info("Stream aborted");
+            return;
+        }
 
-        runStreamingJob(jobId, instructions, userPrompt);
+        const failure = err.failure || classifyError(err);
+        const job = jobs.get(jobId);
+        log.error("Job failed", { errorCode: failure.code, attempts: job?.attempts, err });
 
-    } catch (err) {
-        console.error("Create scenario error:", err);
-        res.status(500).json({
-            success: false,
-            error: err.message || "Failed to create scenario"
-        });
+        if (job) {
+            job.error = failure.message;
+            job.errorCode = failure.code;
+            job.errorDetail = failure.detail;
+            finishJob(jobId, "failed");
+        }
+    } finally {
+        jobControllers.delete(jobId);
     }
-});
+}
 
 /**
  * -------------------------
- * GET STATUS (POLLING ENDPOINT)
+ * MODEL STREAM
+ * WITH CHUNKED DELIVERY FOR POLLING
+ * Streams one response from the configured provider into the job text;
+ * token usage adds to the job total and cost, and a job budget stops the
+ * stream once the running estimate passes it. `conversation`
+ * ({ previousResponseId, history }) continues an earlier job for follow-ups.
  * -------------------------
  */
-app.get("/api/status/:jobId", (req, res) => {
-    const job = jobs.get(req.params.jobId);
+async function streamModelOutput(jobId, instructions, input, signal, conversation = {}) {
+    const log = logger.child({ jobId });
+    log.debug("Starting model stream", { provider: provider.name, model: provider.model });
 
-    if (!job) {
-        return res.status(404).json({
-            success: false,
-            error: "Job not found"
-        });
+    const job = jobs.get(jobId);
+    if (job) {
+        job.usageReceived = false;
+        // Counted if the stream stops before the provider reports usage
+        const historyLength = (conversation.history || []).reduce((sum, turn) => sum + turn.content.length, 0);
+        job.pendingInputTokens = estimateTokens(instructions.length + input.length + historyLength);
     }
 
-    res.json({
-        success: true,
-        status: job.status,
-        scenario: job.text || "",
-        error: job.error,
-        tokensUsed: job.tokensUsed,
-        progress: {
-            characterCount: job.text ? job.text.length : 0,
-            estimatedCompletion: job.status === "in_progress" ?
-                Math.min(95, Math.floor((job.text.length / 3000) * 100)) :
-                (job.status === "completed" ? 100 : 0)
+    const startedAt = Date.now();
+    let fullText = "";
+    let receivedDeltas = false;
+    let deltaCount = 0;
+    let finished = false;
+
+    // Process provider events (see lib/providers/index.js)
+    for await (const event of provider.stream({ instructions, input, signal, ...conversation })) {
+        if (event.type === "raw") {
+            log.debug("Stream event", { eventType: event.eventType });
         }
-    });
-});
 
-/**
- * -------------------------
- * STREAMING WORKER - RESPONSES API FOR GPT-5.2
- * WITH CHUNKED DELIVERY FOR POLLING
- * -------------------------
- */
-async function runStreamingJob(jobId, instructions, input) {
-    try {
-        // Update status to in_progress
-        const job = jobs.get(jobId);
-        job.status = "in_progress";
-        jobs.set(jobId, job);
-
-        console.log(`[${jobId}] Starting stream...`);
-
-        // Use Responses API with streaming for gpt-5.2
-        const stream = await openai.responses.stream({
-            model: "gpt-5.2",
-            service_tier: "priority",
-            instructions: instructions,
-            input: input,
-            max_output_tokens: 1200,
-            temperature: 0.5,
-            background: false,  // Must be false for streaming
-            store: true
-        });
-
-        let fullText = "";
-        let totalTokens = 0;
-        let receivedDeltas = false;
-
-        // Process streaming events
-        for await (const event of stream) {
-            console.log(`[${jobId}] Event type: ${event.type}`);
-
-            // Handle different event types from Responses API
-            
-            // Text delta events (incremental streaming)
-            if (event.type === "response.output_item.delta") {
-                receivedDeltas = true;
-                if (event.delta?.type === "text_delta" && event.delta.text) {
-                    fullText += event.delta.text;
-                    
-                    const currentJob = jobs.get(jobId);
-                    if (currentJob) {
-                        currentJob.text = fullText;
-                        jobs.set(jobId, currentJob);
-                    }
-                    
-                    console.log(`[${jobId}] +${event.delta.text.length} chars, total: ${fullText.length}`);
+        // Incremental text
+        else if (event.type === "delta") {
+            receivedDeltas = true;
+            if (event.text) {
+                if (deltaCount === 0) {
+                    const elapsedMs = Date.now() - startedAt;
+                    timeToFirstDelta.observe(elapsedMs / 1000);
+                    log.debug("First delta", { timeToFirstDeltaMs: elapsedMs });
                 }
-            }
-            
-            // Item completed event
-            else if (event.type === "response.output_item.done") {
-                if (event.item?.type === "message" && Array.isArray(event.item.content)) {
-                    for (const content of event.item.content) {
-                        if (content.type === "output_text" && content.text) {
-                            // Update with complete text if we somehow missed deltas
-                            if (content.text.length > fullText.length) {
-                                fullText = content.text;
-                                console.log(`[${jobId}] Got complete text from item.done: ${fullText.length} chars`);
-                            }
-                        }
-                    }
+                deltaCount++;
+                fullText += event.text;
+                setJobText(jobId, fullText);
+
+                const job = jobs.get(jobId);
+                const overBudget = job?.budget && budgetReason(job, addUsage(job.usage, unreportedUsage(job)));
+                if (overBudget) {
+                    log.info("Budget reached, stopping the stream", { budget: overBudget });
+                    throw jobError("budget_exceeded", overBudget);
                 }
             }
-            
-            // Response completed event (final)
-            else if (event.type === "response.done") {
-                console.log(`[${jobId}] Response done event received`);
-                
-                // Get token usage
-                if (event.response?.usage) {
-                    totalTokens = event.response.usage.total_tokens || 0;
-                    console.log(`[${jobId}] Tokens used: ${totalTokens}`);
-                }
-                
-                // Extract final text if needed
-                if (event.response?.output && Array.isArray(event.response.output)) {
-                    for (const item of event.response.output) {
-                        if (item.type === "message" && Array.isArray(item.content)) {
-                            for (const content of item.content) {
-                                if (content.type === "output_text" && content.text) {
-                                    // Use final text if it's longer than what we have
-                                    if (content.text.length > fullText.length) {
-                                        fullText = content.text;
-                                        console.log(`[${jobId}] Final text from response.done: ${fullText.length} chars`);
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
+        }
+
+        // Complete text - use it if we somehow missed deltas
+        else if (event.type === "text") {
+            if (event.text.length > fullText.length) {
+                fullText = event.text;
+                log.debug("Complete text replaced streamed text", { characters: fullText.length });
             }
         }
 
-        // If we didn't receive deltas but have final text, simulate chunked delivery
-        if (!receivedDeltas && fullText.length > 0) {
-            console.log(`[${jobId}] No deltas received, simulating chunked delivery...`);
-            await simulateChunkedDelivery(jobId, fullText);
-        } else {
-            // Normal completion - just update the job
-            const finalJob = jobs.get(jobId);
-            if (finalJob) {
-                finalJob.text = fullText;
+        // Stored response id - follow-ups continue from the latest one
+        else if (event.type === "response") {
+            const job = jobs.get(jobId);
+            if (job) job.responseId = event.id;
+        }
+
+        // Token usage (final)
+        else if (event.type === "usage") {
+            const job = jobs.get(jobId);
+            if (job) {
+                // Billed tier can differ from the requested one (e.g. priority falls back to default)
+                if (event.serviceTier) job.model = { ...job.model, serviceTier: event.serviceTier };
+                addJobUsage(jobId, event.usage);
+                job.usageReceived = true;
+                pushJobEvent(jobId, "usage", { tokensUsed: job.tokensUsed, usage: job.usage, cost: jobCostSummary(job) });
             }
+            log.debug("Token usage received", { usage: event.usage, serviceTier: event.serviceTier });
         }
 
-        // Mark completed
-        const finalJob = jobs.get(jobId);
-        if (finalJob) {
-            finalJob.status = "completed";
-            finalJob.text = fullText;
-            finalJob.tokensUsed = totalTokens;
-            jobs.set(jobId, finalJob);
+        // The response finished (anything after a stream without this is a broken stream)
+        else if (event.type === "done") {
+            finished = true;
+            if (event.reason === "max_output_tokens" || event.reason === "length") {
+                log.warn("Response stopped at the output token limit", { characters: fullText.length });
+            }
         }
+    }
 
-        console.log(`[${jobId}] ✅ COMPLETED. Length: ${fullText.length}, Tokens: ${totalTokens}`);
+    if (!finished) {
+        throw jobError("stream_incomplete", `Model stream ended after ${fullText.length} characters without finishing`);
+    }
 
-    } catch (err) {
-        console.error(`[${jobId}] ❌ Streaming error:`, err);
-        console.error(`[${jobId}] Error message:`, err.message);
+    // If we didn't receive deltas but have final text, simulate chunked delivery
+    if (!receivedDeltas && fullText.length > 0) {
+        chunkedFallbacks.inc();
+        log.warn("No deltas received, simulating chunked delivery", { characters: fullText.length });
+        await simulateChunkedDelivery(jobId, fullText, signal);
+    } else {
+        // Normal completion - just update the job
+        setJobText(jobId, fullText);
+    }
 
+    log.debug("Model stream finished", { characters: fullText.length, deltas: deltaCount, durationMs: Date.now() - startedAt });
+    return fullText;
+}
+
+/**
+ * -------------------------
+ * RETRIES
+ * Transient failures (rate limits, 5xx, dropped connections, streams that end
+ * early) start the model call again after a backoff, up to STREAM_MAX_ATTEMPTS;
+ * permanent ones (auth, bad model, refusals) fail straight away. Every failed
+ * attempt is logged on job.failures; the longest partial text is kept if all fail.
+ * Each phase ("generation", then "repair") gets its own STREAM_MAX_ATTEMPTS:
+ * job.attempts counts the calls of the current phase.
+ * -------------------------
+ */
+async function streamWithRetry(jobId, instructions, input, signal, conversation, phase = "generation") {
+    const log = logger.child({ jobId });
+    let longestPartial = "";
+
+    for (let attempt = 1; ; attempt++) {
         const job = jobs.get(jobId);
         if (job) {
-            job.status = "failed";
-            job.error = err.message || "Stream failed";
-            jobs.set(jobId, job);
+            job.attempts = attempt;
+            job.attemptPhase = phase;
+        }
+
+        try {
+            return await streamModelOutput(jobId, instructions, input, signal, conversation);
+        } catch (err) {
+            if (signal.aborted) throw err;
+
+            const failure = classifyError(err);
+            const partial = jobs.get(jobId)?.text || "";
+            if (partial.length > longestPartial.length) longestPartial = partial;
+            streamFailures.inc({ code: failure.code });
+            recordFailedAttempt(jobId, failure, partial, phase);
+
+            // Failed attempts count against the budget too; once it is used up there is no retry
+            const overBudget = failure.transient ? budgetReason(jobs.get(jobId)) : null;
+            if (!failure.transient || attempt >= STREAM_MAX_ATTEMPTS || overBudget) {
+                // Leave the most complete partial output on the failed job
+                if (longestPartial.length > partial.length) setJobText(jobId, longestPartial);
+                throw overBudget ? jobError("budget_exceeded", overBudget) : Object.assign(err, { failure });
+            }
+
+            const delayMs = retryDelayMs(failure, attempt, { baseMs: STREAM_RETRY_BASE_MS });
+            log.warn("Model stream failed, retrying", {
+                errorCode: failure.code,
+                error: failure.detail,
+                attempt: job?.attempts,
+                partialLength: partial.length,
+                retryInMs: delayMs
+            });
+
+            if (job) job.retry = { errorCode: failure.code, nextAttemptAt: Date.now() + delayMs };
+            pushJobEvent(jobId, "retry", {
+                attempt: attempt + 1,
+                maxAttempts: STREAM_MAX_ATTEMPTS,
+                phase,
+                errorCode: failure.code,
+                message: failure.message,
+                delayMs
+            });
+            await delay(delayMs, undefined, { signal });
+
+            // The next attempt starts the scenario from scratch
+            if (job) {
+                job.retry = null;
+                job.sectionsSent = [];
+            }
+            setJobText(jobId, "");
+            streamRetries.inc();
         }
     }
 }
 
+function recordFailedAttempt(jobId, failure, partial, phase) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    // A broken stream never reports usage: estimate it, as cancel does
+    if (!job.usageReceived && partial.length > 0) {
+        addJobUsage(jobId, unreportedUsage(job), { estimated: true });
+    }
+
+    job.failures = [...(job.failures || []), {
+        phase,
+        attempt: job.attempts,
+        at: Date.now(),
+        errorCode: failure.code,
+        transient: failure.transient,
+        error: failure.detail,
+        partialLength: partial.length
+    }];
+}
+
 /**
  * -------------------------
  * SIMULATE CHUNKED DELIVERY
  * Breaks down complete text into chunks for polling
  * -------------------------
  */
-async function simulateChunkedDelivery(jobId, fullText) {
+async function simulateChunkedDelivery(jobId, fullText, signal) {
     const CHUNK_SIZE = 150; // Characters per chunk
     const DELAY_MS = 300;   // Delay between chunks (ms)
     
     const job = jobs.get(jobId);
     if (!job) return;
     
-    console.log(`[${jobId}] Delivering ${fullText.length} chars in chunks of ${CHUNK_SIZE}`);
-    
     let delivered = 0;
     
     while (delivered < fullText.length) {
+        signal?.throwIfAborted();
+
         const chunk = fullText.substring(0, delivered + CHUNK_SIZE);
-        
-        const currentJob = jobs.get(jobId);
-        if (currentJob) {
-            currentJob.text = chunk;
-            jobs.set(jobId, currentJob);
-        }
+        setJobText(jobId, chunk);
         
         delivered += CHUNK_SIZE;
-        console.log(`[${jobId}] Delivered ${chunk.length}/${fullText.length} chars`);
         
         // Don't delay on the last chunk
         if (delivered < fullText.length) {
             await new Promise(resolve => setTimeout(resolve, DELAY_MS));
         }
     }
-    
-    console.log(`[${jobId}] Chunked delivery complete`);
 }
 
+/**
+ * -------------------------
+ * JOB EVENTS
+ * Every text/status change goes through here so polling and SSE see the same state
+ * -------------------------
+ */
+function pushJobEvent(jobId, event, data) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    const entry = { id: ++job.lastEventId, event, data };
+    job.events.push(entry);
+    jobEvents.emit(jobId, entry);
+
+    // Final states are written straight away; streaming text is batched
+    if (TERMINAL_STATUSES.includes(event)) jobs.flush(jobId);
+    else jobs.save(jobId);
+}
+
+function setJobText(jobId, text) {
+    const job = jobs.get(jobId);
+    if (!job || text === job.text) return;
+
+    // Appended text goes out as a delta; anything else replaces the client's copy
+    if (text.startsWith(job.text)) {
+        const delta = text.slice(job.text.length);
+        job.text = text;
+        pushJobEvent(jobId, "delta", { text: delta });
+    } else {
+        job.text = text;
+        pushJobEvent(jobId, "snapshot", { text });
+    }
+
+    pushCompletedSections(jobId);
+}
+
+// Emits a "section" event the first time each A–F section is finished
+function pushCompletedSections(jobId, final = false) {
+    const job = jobs.get(jobId);
+    const parsed = parseSections(job?.text, { final });
+    if (!job) return parsed;
+
+    for (const section of Object.values(parsed.sections)) {
+        if (section.complete && !job.sectionsSent.includes(section.key)) {
+            job.sectionsSent.push(section.key);
+            pushJobEvent(jobId, "section", {
+                ...section,
+                classification: section.key === "D" ? parsed.classification : undefined
+            });
+        }
+    }
+
+    return parsed;
+}
+
+function setJobStatus(jobId, status) {
+    const job = jobs.get(jobId);
+    if (!job || job.status === status) return;
+
+    job.status = status;
+    if (TERMINAL_STATUSES.includes(status)) job.completedAt = Date.now();
+    pushJobEvent(jobId, "status", { status });
+}
+
+// Moves a job to a final status and sends the matching terminal event
+function finishJob(jobId, status) {
+    setJobStatus(jobId, status);
+    const job = jobs.get(jobId);
+    if (job) {
+        job.retry = null;
+        pushJobEvent(jobId, status, finalEventData(job));
+        compactJobEvents(job);
+        recordJobMetrics(job);
+        recordJobUsage(job);
+    }
+    webhooks.deliver(jobId, status);
+}
+
+/**
+ * Shrinks a finished job's SSE history to what restoreJobs rebuilds (snapshot,
+ * status, final event), so per-token deltas don't stay in memory for the whole
+ * retention period. Ids are kept: the snapshot takes the id of the last text
+ * event, so a client resuming from any earlier id gets the full text, and one
+ * that saw the final event gets nothing.
+ */
+function compactJobEvents(job) {
+    const lastText = job.events.findLast(entry => entry.event === "delta" || entry.event === "snapshot");
+    const status = job.events.findLast(entry => entry.event === "status");
+    const final = job.events.at(-1);
+
+    job.events = [
+        lastText && job.text ? { id: lastText.id, event: "snapshot", data: { text: job.text } } : null,
+        status,
+        final
+    ].filter(Boolean);
+}
+
+function recordJobMetrics(job) {
+    jobsFinished.inc({ status: job.status });
+
+    // Jobs cancelled while still queued never started streaming
+    if (job.startedAt) jobDuration.observe((job.completedAt - job.startedAt) / 1000, { status: job.status });
+
+    if (job.status === "completed") {
+        outputCharacters.observe(job.text.length);
+        outputTokens.observe(job.tokensUsed);
+    }
+}
+
+// A repair that failed leaves the original output in place
+function isRepaired(job) {
+    return Boolean(job.repair && !job.repair.failed);
+}
+
+function finalEventData(job) {
+    if (job.status === "completed") {
+        return {
+            characterCount: job.text.length,
+            tokensUsed: job.tokensUsed,
+            usage: job.usage,
+            cost: jobCostSummary(job),
+            classification: parseSections(job.text, { final: true }).classification,
+            valid: job.validation ? job.validation.valid : null,
+            repaired: isRepaired(job)
+        };
+    }
+
+    if (job.status === "cancelled") {
+        return {
+            characterCount: job.text.length,
+            tokensUsed: job.tokensUsed,
+            cost: jobCostSummary(job)
+        };
+    }
+
+    return { error: job.error, errorCode: job.errorCode || null, attempts: job.attempts || 0 };
+}
+
+/**
+ * -------------------------
+ * USAGE AND COST
+ * job.usage holds the input/output/reasoning breakdown, job.tokensUsed the
+ * total and job.cost the estimate from the price table (null if unpriced)
+ * -------------------------
+ */
+
+// Job usage plus the owning client's quota counters; `estimated` marks usage
+// guessed from text length because the provider never reported it
+function addJobUsage(jobId, usage, { estimated = false } = {}) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    job.usage = addUsage(job.usage, usage);
+    job.tokensUsed += usage.totalTokens;
+    job.cost = jobCost(job);
+    if (estimated) job.tokensEstimated = true;
+    auth.recordTokens(job.clientId, usage.totalTokens);
+}
+
+// Estimate for a stream that stopped before reporting usage (~4 chars/token).
+// The prompt only counts once output has started.
+function unreportedUsage(job) {
+    const outputTokens = estimateTokens(job.text.length);
+    const inputTokens = outputTokens > 0 ? job.pendingInputTokens || 0 : 0;
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+}
+
+function jobCost(job, usage = job.usage) {
+    return pricing.costOf(usage, job.model?.model, job.model?.serviceTier);
+}
+
+function jobCostSummary(job) {
+    return { amount: job.cost ?? null, currency: pricing.currency, estimated: Boolean(job.tokensEstimated) };
+}
+
+// Why `usage` (the job's own by default) is over the job budget, or null
+function budgetReason(job, usage = job?.usage) {
+    if (!job?.budget) return null;
+    return budgetExceeded(job.budget, usage, jobCost(job, usage), pricing.currency);
+}
+
+// Output of the stream in progress against max_output_tokens; reasoning tokens
+// use up the same limit without showing, so this runs behind on reasoning models
+function jobProgress(job) {
+    const characterCount = job.text ? job.text.length : 0;
+    const outputTokens = estimateTokens(characterCount);
+    const maxOutputTokens = job.maxOutputTokens || providerSettings.maxOutputTokens;
+
+    return {
+        characterCount,
+        outputTokens,
+        maxOutputTokens,
+        estimatedCompletion: job.status === "in_progress" ?
+            Math.min(99, Math.floor((outputTokens / maxOutputTokens) * 100)) :
+            (job.status === "completed" ? 100 : 0)
+    };
+}
+
+function recordJobUsage(job) {
+    if (!job.usage) return;
+
+    usageLedger.record({
+        at: job.completedAt,
+        mode: job.input.analysisFocus,
+        clientId: job.clientId,
+        model: job.model?.model,
+        serviceTier: job.model?.serviceTier,
+        usage: job.usage,
+        cost: job.cost ?? null
+    });
+
+    tokensTotal.inc({ kind: "input" }, job.usage.inputTokens);
+    tokensTotal.inc({ kind: "cached_input" }, job.usage.cachedInputTokens);
+    tokensTotal.inc({ kind: "output" }, job.usage.outputTokens);
+    tokensTotal.inc({ kind: "reasoning" }, job.usage.reasoningTokens);
+    if (job.cost) costTotal.inc({}, job.cost);
+}
+
+// { payloads, skipInvalid, format } or { error } for a POST /api/batches body
+function batchPayloads(req) {
+    const body = req.body;
+    const skipInvalid = req.query.skipInvalid === "true" || body?.skipInvalid === true;
+
+    if (typeof body === "string" || typeof body?.csv === "string") {
+        const parsed = payloadsFromCsv(typeof body === "string" ? body : body.csv);
+        if (parsed.error) return parsed;
+        return { payloads: withBatchDefaults(parsed.payloads, body.defaults), skipInvalid, format: "csv" };
+    }
+
+    const rows = Array.isArray(body) ? body : body?.rows;
+    if (!Array.isArray(rows)) {
+        return { error: "Send a JSON array of create payloads, { rows: [...] }, { csv: \"...\" } or a text/csv body" };
+    }
+    return { payloads: withBatchDefaults(rows, body.defaults), skipInvalid, format: "json" };
+}
+
+// `defaults` fills fields a row leaves out; trend levels merge per trend
+function withBatchDefaults(payloads, defaults) {
+    if (!defaults || typeof defaults !== "object") return payloads;
+    return payloads.map(payload => {
+        if (!payload || typeof payload !== "object" || Array.isArray(payload)) return payload;
+        const merged = { ...defaults, ...payload };
+        if (defaults.trends || payload.trends) merged.trends = { ...defaults.trends, ...payload.trends };
+        return merged;
+    });
+}
+
+// Per-row results plus aggregate progress (rows whose job was cleaned up show as "expired")
+function batchResults(batchId, batch) {
+    const rows = batch.rows.map(entry => batchResultRow(entry, entry.jobId ? jobs.get(entry.jobId) : null));
+    const started = rows.filter(row => row.status !== "invalid");
+    const { status, counts } = sweepStatus(started.map(row => row.status));
+    const finished = started.filter(row => TERMINAL_STATUSES.includes(row.status) || row.status === "expired").length;
+
+    const classifications = {};
+    for (const row of started) {
+        if (row.classification) classifications[row.classification] = (classifications[row.classification] || 0) + 1;
+    }
+
+    return {
+        batchId,
+        createdAt: batch.createdAt,
+        status,
+        counts,
+        progress: {
+            total: started.length,
+            finished,
+            percent: Math.round(finished / started.length * 100)
+        },
+        invalid: rows.length - started.length,
+        classifications,
+        tokensUsed: started.reduce((sum, row) => sum + row.tokensUsed, 0),
+        rows
+    };
+}
+
+// Follow-up jobs of a parent, newest last (children may already have been cleaned up)
+function listFollowups(job) {
+    return (job.followups || []).map(jobId => {
+        const child = jobs.get(jobId);
+        return {
+            jobId,
+            question: child?.followup.question ?? null,
+            trendChanges: child?.followup.trendChanges ?? [],
+            status: child ? child.status : "expired",
+            createdAt: child?.createdAt ?? null
+        };
+    });
+}
+
+// Earlier turns up to and including `jobId`, for providers without stored responses
+function conversationHistory(jobId) {
+    const turns = [];
+    let job = jobs.get(jobId);
+
+    while (job) {
+        turns.unshift({ role: "assistant", content: job.text });
+        turns.unshift({
+            role: "user",
+            content: job.followup ? buildFollowupPrompt(job.followup) : buildUserPrompt({ ...job.input, geo: job.geo })
+        });
+        job = job.followup ? jobs.get(job.followup.parentJobId) : null;
+    }
+
+    return turns;
+}
+
+// Body of a webhook delivery (deliveryId and event are added by the dispatcher)
+function webhookPayload(jobId, job) {
+    const { sections, classification } = parseSections(job.text, { final: job.status === "completed" });
+    return {
+        jobId,
+        status: job.status,
+        scenario: job.text || "",
+        sections,
+        classification,
+        validation: job.validation || null,
+        error: job.error,
+        errorCode: job.errorCode || null,
+        attempts: job.attempts || 0,
+        tokensUsed: job.tokensUsed,
+        usage: job.usage || null,
+        cost: jobCostSummary(job),
+        input: job.input,
+        geo: job.geo || null,
+        promptVersion: job.promptVersion || null,
+        parentJobId: job.followup?.parentJobId || null,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt || null
+    };
+}
+
+function writeSseEvent(res, { id, event, data }) {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * -------------------------
+ * RESTORE STORED JOBS
+ * Jobs cut off by a restart become "interrupted" (partial text kept);
+ * SSE history is rebuilt so late subscribers still get the stored result
+ * -------------------------
+ */
+function restoreJobs() {
+    let interrupted = 0;
+
+    for (const [jobId, job] of jobs.entries()) {
+        // Ids keep counting from the stored value so they never go backwards for clients
+        job.events = [];
+        job.lastEventId = job.lastEventId || 0;
+        job.eventsRebuilt = true;
+        job.sectionsSent = [];
+
+        if (!TERMINAL_STATUSES.includes(job.status)) {
+            // The cut-off stream never reported usage: estimate it, as cancel does
+            // (waiting to retry, the failed attempt is already counted)
+            if (job.status === "in_progress" && !job.usageReceived && !job.retry) {
+                addJobUsage(jobId, unreportedUsage(job), { estimated: true });
+            }
+            job.status = "interrupted";
+            job.error = ERROR_CODES.interrupted.message;
+            job.errorCode = "interrupted";
+            job.errorDetail = "Server restarted before the job finished";
+            job.retry = null;
+            job.completedAt = Date.now();
+            recordJobUsage(job);
+            webhooks.deliver(jobId, "interrupted");
+            interrupted++;
+        }
+
+        if (job.text) pushJobEvent(jobId, "snapshot", { text: job.text });
+        pushJobEvent(jobId, "status", { status: job.status });
+
+        pushJobEvent(jobId, job.status, finalEventData(job));
+    }
+
+    if (jobs.size > 0) {
+        logger.info("Restored stored jobs", { jobs: jobs.size, interrupted });
+    }
+
+    const resumed = webhooks.resume();
+    if (resumed > 0) logger.info("Resumed pending webhook deliveries", { deliveries: resumed });
+}
+
+restoreJobs();
+
 /**
  * -------------------------
  * CLEANUP OLD JOBS
+ * Finished jobs are kept for JOB_RETENTION_MINUTES; running jobs are never removed
  * -------------------------
  */
 setInterval(() => {
     const now = Date.now();
-    const MAX_AGE = 15 * 60 * 1000; // 15 minutes
 
     for (const [jobId, job] of jobs.entries()) {
-        if (now - job.createdAt > MAX_AGE) {
+        if (!TERMINAL_STATUSES.includes(job.status)) continue;
+        if (now - (job.completedAt || job.createdAt) > JOB_RETENTION_MS) {
             jobs.delete(jobId);
-            console.log(`Cleaned up old job: ${jobId}`);
+            logger.info("Cleaned up old job", { jobId });
+        }
+    }
+
+    for (const [sweepId, sweep] of sweeps.entries()) {
+        if (now - sweep.createdAt > JOB_RETENTION_MS) {
+            sweeps.delete(sweepId);
+            logger.info("Cleaned up old sweep", { sweepId });
         }
     }
+
+    for (const [batchId, batch] of batches.entries()) {
+        if (now - batch.createdAt > JOB_RETENTION_MS) {
+            batches.delete(batchId);
+            logger.info("Cleaned up old batch", { batchId });
+        }
+    }
+
+    resultCache.prune();
 }, 2 * 60 * 1000); // Run every 2 minutes
 
 /**
@@ -332,9 +2328,14 @@ setInterval(() => {
  * HELPER FUNCTIONS
  * -------------------------
  */
-function buildUserPrompt({ country, sector, description, latitude, longitude, locationLabel, trends }) {
+function buildUserPrompt({ country, sector, description, latitude, longitude, locationLabel, trends, geo }) {
     const trendsList = Object.entries(normalizeTrends(trends || {}))
-        .map(([name, value]) => `- ${name}: Level ${value}`)
+        .map(([name, value]) => {
+            const trend = resolveTrend(name);
+            return trend
+                ? `- ${name} (hard limit: ${trend.hardLimit}): Level ${value} - ${trend.levels[value]}`
+                : `- ${name}: Level ${value}`;
+        })
         .join("\n");
 
     const hasCoords =
@@ -349,6 +2350,8 @@ function buildUserPrompt({ country, sector, description, latitude, longitude, lo
         ? `Approximate local context: ${locationLabel}`
         : "Approximate local context: not specified";
 
+    const derivedLines = describeLocation(geo).map(line => `\n- ${line}`).join("");
+
     return `
 Context
 Country or region: ${country}
@@ -359,7 +2362,7 @@ ${description}
 
 Local geography and location
 - ${coords}
-- ${locationLine}
+- ${locationLine}${derivedLines}
 
 Trend slider settings (constraint strength)
 ${trendsList || "- (none provided)"}
@@ -369,171 +2372,19 @@ Follow the instructions exactly.
 `.trim();
 }
 
+// Catalog names are canonicalised; explicitly allowed unknown trends keep their name
 function normalizeTrends(trends) {
     const out = {};
     for (const [k, v] of Object.entries(trends || {})) {
-        let n = Number(v);
+        let n = Math.round(Number(v));
         if (!Number.isFinite(n)) n = 1;
         if (n < 1) n = 1;
         if (n > 3) n = 3;
-        out[k] = n;
+        out[resolveTrend(k)?.label || k] = n;
     }
     return out;
 }
 
-function getInstructionsForMode(analysisFocus) {
-    const COMMON = `
-You are StratEko, a constraint-first analysis engine.
-Language & clarity rules:
-Use plain cause–effect language.
-Minimize analytical jargon and framework labels; if used, define once and then describe effects directly.
-For each major constraint, state who is affected, what fails, and the immediate consequence.
-Avoid euphemisms; describe losses, shutdowns, or failure explicitly.
-Keep sections concise (3–5 bullets, ~20–25 words each).
-
-EXECUTION CHECKLIST (do not explain; just comply)
-1) Output sections A–F using bullets only. 
-2) In section D, classify the intervention: (A) Business as Usual / Extractive, (B) Efficiency / Optics, (C) Mitigation / Harm Reduction, (D) Repair / Regenerative (claim).
-3) If classified A or B → section F must be exactly one line: "No credible mitigation within stated assumptions."
-4) If classified D → apply feasibility gates. If any gate triggers → section E must state non-viable and end after section F.
-5) Otherwise complete A–F in order and stop after F.
-
-1a) Each section must begin with exactly one short sentence (15–30 words)
-that explains how the bullets in that section interact causally.
-This sentence is allowed in addition to the bullets and must not repeat bullet wording.
-HARD OUTPUT TEMPLATE
-A) Baseline
-B) Stress
-C) Constraints
-D) Classification
-E) Net trajectory
-F) Mitigation
-
-CORE LOGIC (apply in this order)
-A) Baseline: No-action trajectory. Exclude the intervention entirely.
-Sector Baseline Viability & Industrial Lineage Check
-
-Before applying stressors, trends, or scenarios, perform a Sector Baseline Viability Check grounded in historical and structural reality.
-
-For the specified sector and geography, explicitly assess:
-	1.	Industrial Lineage
-	•	Describe how this sector has evolved in this geography over the last 30–50 years.
-	•	State clearly whether production has:
-	•	remained locally viable,
-	•	declined or hollowed out,
-	•	largely offshored,
-	•	or exited the region entirely.
-	2.	Current Functional Presence
-	•	Identify which parts of the value chain (if any) remain local
-(e.g. design, R&D, branding, niche production, prototyping).
-	•	If mass production is no longer present, state this explicitly.
-	3.	Baseline Structural Constraint
-	•	If the sector lacks a meaningful domestic or local production base, treat this as a baseline constraint, not a downstream risk.
-	•	Do not assume revival, reshoring, or competitiveness unless specific enabling conditions are explicitly provided by the user.
-	4.	Implications for Scenario Analysis
-	•	If the sector is structurally absent or marginal in the region, note that subsequent stressors (trade, energy, labor, capital) act on an already-fragile or non-existent base.
-	•	Where appropriate, state that the scenario begins from a non-viable or highly conditional baseline.
-
-This assessment must be stated explicitly in the Baseline section before any stress or future scenarios are explored.
-B) Stress: Apply user-assumed stress levels to the baseline (no mitigation here).
-C) Constraints: Identify dominant hard limits, lock-ins, and failure modes under stress. In section C, explicitly identify the dominant constraint first.
-Subsequent bullets must explain how secondary constraints amplify or follow from it.
-Scenario
-A) Baseline
-This baseline describes how current environmental controls shape mining approvals, operations, and impacts, which then distribute benefits and harms across actors without added stressors.
-• Existing EIA/approval processes permit battery-material mining with conditions; firms benefit via access and revenue, while local ecosystems and Traditional Owners bear residual risks.
-• Compliance relies on monitoring, reporting, and penalties; large operators with legal capacity navigate rules more easily than smaller entrants.
-• Water, dust, tailings, and habitat disturbance remain managed but not eliminated; cumulative impacts accrue across projects and time.
-• Remote-location logistics and fly-in/fly-out work patterns externalize some social costs to regional services and communities.
-
-B) Stress
-These stressors intensify the baseline by weakening information quality and raising energy and climate pressures, which increases the chance that controls underperform in practice.
-• Information Breakdown (hard limit: reliable, timely data) degrades monitoring, community scrutiny, and regulator decision quality, increasing undetected non-compliance.
-• Energy Fragility (hard limit: dependable power/fuel) raises operating volatility, making shutdowns, maintenance deferrals, and emergency responses more likely.
-• Climate Limits (hard limit: heat/water extremes) increase water competition, dust events, and tailings risk, stressing permit assumptions and site designs.
-• External Domination (hard limit: local bargaining power) shifts leverage to external buyers/financiers, pressuring faster approvals and weaker conditions.
-
-C) Constraints
-A binding hard limit on trustworthy information and verification drives most failures, and other constraints amplify it by reducing enforcement credibility and operational resilience.
-• Dominant constraint: Information Breakdown hard limit prevents credible measurement, auditing, and enforcement, so rules exist on paper but weaken in effect.
-• Energy Fragility amplifies this by causing outages and rushed workarounds, increasing incident rates and reducing time for compliant monitoring and reporting.
-• Climate Limits amplify baseline tailings/water/dust risks, making historical baselines unreliable and increasing disputes over "acceptable" impacts.
-• External Domination locks in pro-extraction defaults by concentrating decision power outside the region, reducing local consent leverage and regulator independence.
-
-D) Classification
-Because the mechanism is an operating authorization framework that conditions extraction rather than removing it, it functions primarily as harm-limiting governance under stress.
-• Classification: (C) Mitigation / Harm Reduction.
-• Mechanism: permits, conditions, monitoring, and penalties aim to reduce damage while allowing mining to proceed.
-• Intent inferred from design: manage impacts, not halt extraction or repair past harm.
-• Hard limit context: effectiveness depends on verifiable information and enforceable sanctions.
-
-E) Net trajectory
-Under the stated stresses, the framework can reduce some harms but cannot fully counter the binding hard limits, so outcomes shift only modestly from the stressed baseline.
-• It partially changes the stressed baseline by setting minimum standards, but Information Breakdown hard limit means compliance becomes less observable and less enforceable.
-• Benefits still concentrate with mining firms and external purchasers via continued supply; losses concentrate in local water, habitat, and cultural values when breaches go unseen.
-• Energy Fragility and Climate Limits keep incident probability elevated, so the framework mainly shapes severity after events rather than preventing them.
-• External Domination keeps approval momentum high, limiting how far conditions can tighten without higher-level political backing.
-
-F) Mitigation
-Mitigation works only where it strengthens verification and enforcement despite the hard limit, while acknowledging that energy and climate constraints remain binding.
-• Shift to continuous, tamper-evident monitoring (telemetry, third-party custody, public dashboards) reduces Information Breakdown impacts, but the hard limit remains if audits lack independence.
-• Pre-commit enforceable stop-work triggers tied to objective thresholds (dust, water drawdown, tailings alarms) changes failure modes from "hidden drift" to "automatic pause."
-• Require bonded rehabilitation and tailings financial assurance sized to climate-stressed scenarios; this mitigates insolvency risk but cannot remove physical climate hard limits.
-• Create binding co-governance with funded Traditional Owner ranger/compliance roles to counter External Domination, but effectiveness depends on statutory authority and stable funding.
-D) Classification: Based on stated intent and mechanism (not hoped-for outcomes).
-E) Net trajectory: Does the intervention materially change the stressed baseline trajectory?
-F) Mitigation: Allowed scope depends on classification.
-In sections A and E, at least one bullet must explicitly state
-who or what benefits and who or what loses under the described trajectory.
-Do not assume the intervention is intended to mitigate stress or constraints.
-First determine whether it is corrective, neutral, or business-as-usual.
-
-SCOPE BY CLASSIFICATION
-- A or B: no credible mitigation within stated assumptions (see checklist rule).
-- C: mitigation only; specify which failure modes change and which remain binding; durability required.
-- D: treat repair as a claim; apply feasibility gates; downgrade to C or B if gates fail.
-
-FEASIBILITY GATES (apply only if classified D)
-- CapitalFreeze=3 → execution fails unless committed non-market financing specified.
-- Physical hard limit → no design/efficiency workaround unless capacity is removed.
-- Low institutional capacity → no enforcement/coordination without mechanism+funding.
-- Timing mismatch → outcome locked-in or partially irreversible.
-- Multi-actor required → default partial/fail unless binding authority specified.
-
-EVIDENCE DISCIPLINE
-- Any claimed benefit must include mechanism + the limiting hard limit in the same bullet.
-- Explicitly downgrade counterfactuals that do not materially alter the stressed baseline trajectory.
-- Use the term "hard limit".
-Use plain, concrete language.
-Prefer short sentences and active verbs.
-Avoid stacked abstractions and internal jargon where a common term conveys the same meaning.
-When applicable, state that the intervention "does not materially change the baseline trajectory" without implying failure or mitigation intent.
-Geographic references must be causal and constraint-relevant.
-Do not describe place unless it materially changes feasibility,
-risk, enforcement, or irreversibility.
-`.trim();
-
-    // ✅ AUTHORIZATION FRAMEWORK MODE
-    if (analysisFocus === "authorizationFramework") {
-        return `${COMMON}
-
-MODE FOCUS
-Authorization / operating framework.
-In section C emphasize rules, defaults, incentives, enforcement limits, coordination failure, and path dependence.
-The intervention is the existing framework itself.
-`.trim();
-    }
-
-    // ✅ PROJECT MODE (default)
-    return `${COMMON}
-
-MODE FOCUS
-Project / investment decision.
-In section C emphasize feasibility, capital exposure, operating cost risk, lock-in, rebound, and non-viability triggers.
-The intervention is the proposed project.
-`.trim();
-}
-
 /**
  * -------------------------
  * START SERVER
@@ -541,8 +2392,12 @@ The intervention is the proposed project.
  */
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-    console.log(`✅ StratEko Streaming Proxy running on port ${PORT}`);
-    console.log(`   Health check: http://localhost:${PORT}/`);
-    console.log(`   Create: POST http://localhost:${PORT}/api/create`);
-    console.log(`   Status: GET http://localhost:${PORT}/api/status/:jobId`);
+    logger.info("StratEko Streaming Proxy running", {
+        port: Number(PORT),
+        healthCheck: `http://localhost:${PORT}/`,
+        metrics: `http://localhost:${PORT}/metrics`,
+        provider: `${provider.name}/${provider.model}`,
+        jobStore: jobs.driver,
+        logLevel: logger.level
+    });
 });
\ No newline at end of file
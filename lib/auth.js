@@ -0,0 +1,210 @@
+import fs from "fs";
+import crypto from "crypto";
+
+/**
+ * -------------------------
+ * API KEY AUTH, RATE LIMITS AND TOKEN QUOTAS
+ * Clients come from a JSON keys file (see scripts/issueApiKey.js):
+ *   { "clients": [{ id, name, keyHash, origins, rateLimit, quotas }] }
+ * Keys are stored as SHA-256 hashes only.
+ * With no clients configured, auth is off and the API stays open.
+ * -------------------------
+ */
+
+export function hashApiKey(key) {
+    return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+export function loadApiClients(file) {
+    if (!file || !fs.existsSync(file)) return [];
+
+    const { clients = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const client of clients) {
+        if (!client.id || !client.keyHash) {
+            throw new Error(`API keys file ${file}: every client needs an id and keyHash`);
+        }
+    }
+    return clients;
+}
+
+/**
+ * `usageStore` is a job-store-style map of clientId -> token counters,
+ * so quotas survive restarts the same way jobs do.
+ */
+export function createAuth({ clients, usageStore, defaultRateLimit }) {
+    const byHash = new Map(clients.map(client => [client.keyHash, client]));
+    const windows = new Map(); // clientId -> { start, count }
+
+    // Preflight requests carry no key, so allow any origin some client is allowed to use
+    const anyOrigin = clients.some(client => (client.origins || []).includes("*"));
+    const knownOrigins = new Set(clients.flatMap(client => client.origins || []));
+
+    function corsOrigin(origin) {
+        if (clients.length === 0) return "*";
+        if (!origin) return null;
+        return anyOrigin || knownOrigins.has(origin) ? origin : null;
+    }
+
+    function findClient(key) {
+        if (!key) return null;
+        const hash = hashApiKey(key);
+        for (const [keyHash, client] of byHash) {
+            if (crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(hash))) return client;
+        }
+        return null;
+    }
+
+    // Authorization: Bearer <key> or X-API-Key; GET also accepts ?apiKey= (EventSource can't set headers)
+    function keyFromRequest(req) {
+        const bearer = req.get("Authorization")?.match(/^Bearer\s+(.+)$/i);
+        if (bearer) return bearer[1].trim();
+        if (req.get("X-API-Key")) return req.get("X-API-Key").trim();
+        if (req.method === "GET" && typeof req.query.apiKey === "string") return req.query.apiKey;
+        return null;
+    }
+
+    function authenticate(req, res, next) {
+        if (clients.length === 0) return next();
+
+        const client = findClient(keyFromRequest(req));
+        if (!client) {
+            return res.status(401).json({
+                success: false,
+                error: "Missing or invalid API key"
+            });
+        }
+
+        const origin = req.get("Origin");
+        const origins = client.origins || [];
+        if (origin && !origins.includes("*") && !origins.includes(origin)) {
+            return res.status(403).json({
+                success: false,
+                error: `Origin ${origin} is not allowed for this API key`
+            });
+        }
+
+        req.client = client;
+        next();
+    }
+
+    // Fixed window per client, for routes that start jobs (reads and polls are not limited)
+    function rateLimit(req, res, next) {
+        if (!req.client) return next();
+
+        const { requests, windowMs } = { ...defaultRateLimit, ...req.client.rateLimit };
+        const now = Date.now();
+        let window = windows.get(req.client.id);
+        if (!window || now - window.start >= windowMs) {
+            window = { start: now, count: 0 };
+            windows.set(req.client.id, window);
+        }
+        window.count++;
+
+        const remaining = Math.max(0, requests - window.count);
+        const resetsAt = window.start + windowMs;
+        res.set("X-RateLimit-Limit", String(requests));
+        res.set("X-RateLimit-Remaining", String(remaining));
+
+        if (window.count > requests) {
+            res.set("Retry-After", String(Math.ceil((resetsAt - now) / 1000)));
+            return res.status(429).json({
+                success: false,
+                error: "Rate limit exceeded",
+                rateLimit: { limit: requests, windowMs, remaining: 0, resetsAt }
+            });
+        }
+
+        next();
+    }
+
+    function periods(now = new Date()) {
+        const day = now.toISOString().slice(0, 10);
+        const month = day.slice(0, 7);
+        const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+        const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+        return { day, month, nextDay, nextMonth };
+    }
+
+    // Current counters, rolled over when the day/month has changed
+    function usage(clientId) {
+        const { day, month } = periods();
+        const record = usageStore.get(clientId) || {};
+        return {
+            daily: record.daily?.period === day ? record.daily.tokens : 0,
+            monthly: record.monthly?.period === month ? record.monthly.tokens : 0
+        };
+    }
+
+    function recordTokens(clientId, tokens) {
+        if (!clientId || !tokens) return;
+
+        const { day, month } = periods();
+        const current = usage(clientId);
+        const record = {
+            daily: { period: day, tokens: current.daily + tokens },
+            monthly: { period: month, tokens: current.monthly + tokens }
+        };
+
+        if (usageStore.has(clientId)) {
+            Object.assign(usageStore.get(clientId), record);
+            usageStore.save(clientId);
+        } else {
+            usageStore.set(clientId, record);
+        }
+    }
+
+    /**
+     * Remaining allowance for a client; `exceeded` names the first exhausted period.
+     */
+    function quotaStatus(client) {
+        const { nextDay, nextMonth } = periods();
+        const used = usage(client.id);
+        const quotas = client.quotas || {};
+
+        const entry = (limit, usedTokens, resetsAt) => limit
+            ? { limit, used: usedTokens, remaining: Math.max(0, limit - usedTokens), resetsAt }
+            : null;
+
+        const daily = entry(quotas.dailyTokens, used.daily, nextDay);
+        const monthly = entry(quotas.monthlyTokens, used.monthly, nextMonth);
+
+        let exceeded = null;
+        if (daily && daily.remaining === 0) exceeded = "daily";
+        else if (monthly && monthly.remaining === 0) exceeded = "monthly";
+
+        return { daily, monthly, exceeded };
+    }
+
+    // For routes that start paid model calls
+    function requireQuota(req, res, next) {
+        if (!req.client) return next();
+
+        const quota = quotaStatus(req.client);
+        const remaining = Math.min(quota.daily?.remaining ?? Infinity, quota.monthly?.remaining ?? Infinity);
+        if (Number.isFinite(remaining)) res.set("X-Quota-Remaining", String(remaining));
+        // Routes that start several jobs check them against this (Infinity without quotas)
+        req.quota = { ...quota, remaining };
+
+        if (quota.exceeded) {
+            const period = quota[quota.exceeded];
+            res.set("Retry-After", String(Math.ceil((period.resetsAt - Date.now()) / 1000)));
+            return res.status(429).json({
+                success: false,
+                error: `${quota.exceeded === "daily" ? "Daily" : "Monthly"} token quota exceeded`,
+                quota: { daily: quota.daily, monthly: quota.monthly }
+            });
+        }
+
+        next();
+    }
+
+    return {
+        enabled: clients.length > 0,
+        corsOrigin,
+        authenticate,
+        rateLimit,
+        requireQuota,
+        quotaStatus,
+        recordTokens
+    };
+}
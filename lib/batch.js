@@ -0,0 +1,216 @@
+import { parseSections, extractDominantConstraint, SECTION_TITLES, CLASSIFICATIONS } from "./sections.js";
+
+/**
+ * -------------------------
+ * BATCH SUBMISSION
+ * Many /api/create payloads in one request, from a JSON array or a CSV file
+ * (one row per scenario, header row required), and the combined results
+ * table for download.
+ * -------------------------
+ */
+
+// CSV header (case, spaces, "_" and "-" ignored) -> create payload field
+const CSV_FIELDS = {
+    country: "country",
+    sector: "sector",
+    description: "description",
+    latitude: "latitude",
+    longitude: "longitude",
+    locationlabel: "locationLabel",
+    analysisfocus: "analysisFocus",
+    promptversion: "promptVersion",
+    priority: "priority",
+    autorepair: "autoRepair",
+    allowunknowntrends: "allowUnknownTrends",
+    fresh: "fresh",
+    callbackurl: "callbackUrl",
+    trends: "trends"
+};
+
+const BOOLEAN_FIELDS = ["autoRepair", "allowUnknownTrends", "fresh"];
+
+// "trend:Energy Fragility" columns set one trend level each
+const TREND_COLUMN_RE = /^trend\s*:\s*(.+)$/i;
+
+const headerKey = (name) => name.toLowerCase().replace(/[\s_-]/g, "");
+
+/**
+ * RFC 4180 CSV -> array of rows (arrays of strings).
+ * Quoted fields may contain commas, "" and line breaks.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Excel's BOM
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === "\"" && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) throw new Error("CSV has an unterminated quoted field");
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no row
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+}
+
+/**
+ * Create payloads from CSV text: { payloads } or { error }.
+ * Empty cells are left out, so defaults apply as they would for /api/create.
+ */
+export function payloadsFromCsv(text) {
+    let rows;
+    try {
+        rows = parseCsv(text);
+    } catch (err) {
+        return { error: err.message };
+    }
+    if (rows.length < 2) {
+        return { error: "CSV needs a header row and at least one data row" };
+    }
+
+    const [header, ...data] = rows;
+    const columns = header.map(name => {
+        const trend = name.trim().match(TREND_COLUMN_RE);
+        if (trend) return { trend: trend[1].trim() };
+        return { field: CSV_FIELDS[headerKey(name.trim())], name: name.trim() };
+    });
+
+    const unknown = columns.filter(column => !column.trend && !column.field).map(column => `"${column.name}"`);
+    if (unknown.length > 0) {
+        return { error: `Unknown CSV column(s): ${unknown.join(", ")} (use trend:<name> for trend levels)` };
+    }
+
+    const payloads = data.map(cells => {
+        const payload = {};
+        columns.forEach((column, index) => {
+            const value = (cells[index] ?? "").trim();
+            if (value === "") return;
+
+            if (column.trend) {
+                payload.trends = { ...payload.trends, [column.trend]: Number(value) };
+            } else if (column.field === "trends") {
+                payload.trends = { ...parseTrendsCell(value), ...payload.trends };
+            } else if (column.field === "priority") {
+                payload.priority = Number(value);
+            } else if (BOOLEAN_FIELDS.includes(column.field)) {
+                payload[column.field] = /^(true|yes|1)$/i.test(value);
+            } else {
+                payload[column.field] = value;
+            }
+        });
+        return payload;
+    });
+
+    return { payloads };
+}
+
+// A "trends" cell holds JSON ({"Energy Fragility": 3}) or "Energy Fragility=3; Climate Limits=2"
+function parseTrendsCell(value) {
+    if (value.startsWith("{")) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return { [value]: NaN }; // reported by validateTrends as a bad level
+        }
+    }
+    return Object.fromEntries(value.split(";").filter(part => part.trim()).map(part => {
+        const [name, level] = part.split("=");
+        return [name.trim(), Number(level)];
+    }));
+}
+
+/**
+ * One line of the combined results for a batch row and its job (null once cleaned up)
+ */
+export function batchResultRow(entry, job) {
+    const status = entry.error ? "invalid" : job ? job.status : "expired";
+    const { sections, classification } = parseSections(job?.text, { final: status === "completed" });
+    const dominant = extractDominantConstraint(sections.C);
+
+    return {
+        row: entry.row,
+        jobId: entry.jobId || null,
+        cache: entry.cache || null,
+        status,
+        country: entry.country ?? null,
+        sector: entry.sector ?? null,
+        analysisFocus: entry.analysisFocus ?? null,
+        classification,
+        classificationLabel: classification ? CLASSIFICATIONS[classification] : null,
+        dominantConstraint: dominant ? dominant.label : null,
+        valid: job?.validation ? job.validation.valid : null,
+        tokensUsed: job ? job.tokensUsed : 0,
+        error: entry.error || job?.error || null,
+        errorCode: entry.error ? "invalid_row" : job?.errorCode || null,
+        errors: entry.errors,
+        sections: Object.fromEntries(Object.keys(SECTION_TITLES).map(key => [key, sectionText(sections[key])])),
+        scenario: job?.text || ""
+    };
+}
+
+function sectionText(section) {
+    if (!section) return null;
+    return [section.lead, ...section.bullets.map(bullet => `- ${bullet}`)].filter(Boolean).join("\n");
+}
+
+const CSV_COLUMNS = [
+    "row", "jobId", "status", "country", "sector", "analysisFocus",
+    "classification", "classificationLabel", "dominantConstraint", "valid", "tokensUsed", "errorCode", "error"
+];
+
+// Spreadsheets run cells starting with = + @ as formulas; a leading ' keeps them text
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let text = String(value);
+    if (/^[=+@\t\r]/.test(text) || /^-(?![\d.])/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+export function toCsv(results) {
+    const sectionColumns = Object.entries(SECTION_TITLES).map(([key, title]) => `${key} ${title}`);
+    const lines = [[...CSV_COLUMNS, ...sectionColumns, "scenario"].map(csvCell).join(",")];
+
+    for (const result of results.rows) {
+        lines.push([
+            ...CSV_COLUMNS.map(column => result[column]),
+            ...Object.keys(SECTION_TITLES).map(key => result.sections[key]),
+            result.scenario
+        ].map(csvCell).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+export const BATCH_RESULT_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", render: toCsv },
+    json: { contentType: "application/json; charset=utf-8", render: (results) => JSON.stringify(results, null, 2) }
+};
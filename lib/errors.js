@@ -0,0 +1,90 @@
+/**
+ * -------------------------
+ * JOB ERROR CODES
+ * Model/stream failures mapped to stable codes the API exposes (job.errorCode),
+ * split into transient ones worth retrying and permanent ones that are not.
+ * `message` is safe to show end users; the raw upstream text is kept as detail.
+ * -------------------------
+ */
+
+export const ERROR_CODES = {
+    rate_limited: { transient: true, message: "The model provider is busy (rate limited). Please try again in a minute." },
+    upstream_unavailable: { transient: true, message: "The model provider is temporarily unavailable. Please try again shortly." },
+    timeout: { transient: true, message: "The model provider did not respond in time. Please try again." },
+    network_error: { transient: true, message: "The connection to the model provider was interrupted. Please try again." },
+    stream_incomplete: { transient: true, message: "The model stopped before the scenario was complete. Please try again." },
+    quota_exceeded: { transient: false, message: "The service has run out of model credit. Please contact the site owner." },
+    auth_failed: { transient: false, message: "The service is misconfigured (model provider credentials rejected). Please contact the site owner." },
+    model_not_found: { transient: false, message: "The service is misconfigured (model not available). Please contact the site owner." },
+    invalid_request: { transient: false, message: "The model provider rejected this request. Try shortening or rephrasing the description." },
+    content_refused: { transient: false, message: "The model declined to write this scenario. Try rephrasing the description." },
+    budget_exceeded: { transient: false, message: "Generation stopped: the job reached its token or cost budget. The partial scenario is kept." },
+    interrupted: { transient: false, message: "The server restarted before the scenario was finished. Please run it again." },
+    internal_error: { transient: false, message: "The scenario could not be generated. Please try again later." }
+};
+
+// Socket-level failures (Node puts these on err.code or err.cause.code)
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "EPIPE", "ENOTFOUND", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH", "UND_ERR_SOCKET"];
+const TIMEOUT_CODES = ["ETIMEDOUT", "ESOCKETTIMEDOUT", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT", "UND_ERR_BODY_TIMEOUT"];
+
+/**
+ * Error with a code from ERROR_CODES (for failures detected here rather than thrown upstream)
+ */
+export function jobError(code, detail) {
+    return Object.assign(new Error(detail || ERROR_CODES[code].message), { code });
+}
+
+/**
+ * { code, transient, message, detail, retryAfterMs } for anything a provider throws
+ */
+export function classifyError(err) {
+    const code = errorCode(err);
+    const retryAfter = Number(err?.headers?.["retry-after"] ?? err?.headers?.get?.("retry-after"));
+
+    return {
+        code,
+        ...ERROR_CODES[code],
+        detail: err?.message || String(err),
+        retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null
+    };
+}
+
+function errorCode(err) {
+    if (ERROR_CODES[err?.code]) return err.code;
+
+    const status = err?.status;
+    // OpenAI puts its own code on the error (or on error.error); sockets put theirs on cause
+    const upstream = String(err?.error?.code || err?.code || "").toLowerCase();
+    const socket = err?.cause?.code || err?.code;
+    const message = String(err?.message || "");
+
+    if (upstream === "insufficient_quota") return "quota_exceeded";
+    if (upstream === "model_not_found") return "model_not_found";
+    if (/content_(filter|policy)|refusal/.test(upstream)) return "content_refused";
+    if (upstream === "rate_limit_exceeded") return "rate_limited";
+    if (upstream === "server_error" || upstream === "overloaded") return "upstream_unavailable";
+    if (upstream === "context_length_exceeded" || upstream === "invalid_prompt") return "invalid_request";
+
+    if (status === 401 || status === 403) return "auth_failed";
+    if (status === 404) return "model_not_found";
+    if (status === 408) return "timeout";
+    if (status === 429) return "rate_limited";
+    if (status >= 500) return "upstream_unavailable";
+    if (status >= 400) return "invalid_request";
+
+    if (err?.name === "APIConnectionTimeoutError" || err?.name === "TimeoutError" || TIMEOUT_CODES.includes(socket)) return "timeout";
+    if (err?.name === "APIConnectionError" || NETWORK_CODES.includes(socket) ||
+        /terminated|socket hang up|premature close|other side closed/i.test(message)) return "network_error";
+
+    return "internal_error";
+}
+
+/**
+ * Wait before retry number `attempt` (1 = first retry): exponential backoff with
+ * jitter, or the provider's Retry-After when it sent one, capped at `maxMs`
+ */
+export function retryDelayMs(failure, attempt, { baseMs = 2000, maxMs = 60 * 1000 } = {}) {
+    if (failure.retryAfterMs) return Math.min(maxMs, failure.retryAfterMs);
+    const backoff = baseMs * 2 ** (attempt - 1);
+    return Math.min(maxMs, backoff + Math.floor(Math.random() * baseMs / 2));
+}
@@ -0,0 +1,323 @@
+import { parseSections, CLASSIFICATIONS } from "./sections.js";
+import { resolveTrend } from "./trends.js";
+import { modeLabel } from "./prompts/index.js";
+
+/**
+ * -------------------------
+ * REPORT EXPORT
+ * Completed job record -> Markdown, HTML or PDF document.
+ * PDF is written directly (standard Helvetica fonts, no dependencies).
+ * -------------------------
+ */
+
+export const EXPORT_FORMATS = {
+    md: { contentType: "text/markdown; charset=utf-8", render: toMarkdown },
+    html: { contentType: "text/html; charset=utf-8", render: toHtml },
+    pdf: { contentType: "application/pdf", render: toPdf }
+};
+
+/**
+ * Format-neutral report built from a completed job record
+ */
+export function buildReport(job, { exportedAt = Date.now() } = {}) {
+    const input = job.input || {};
+    const { sections, classification } = parseSections(job.text, { final: true });
+
+    const hasCoords =
+        input.latitude !== null && input.latitude !== undefined &&
+        input.longitude !== null && input.longitude !== undefined;
+
+    return {
+        title: "StratEko Scenario Report",
+        generatedAt: new Date(job.completedAt || job.createdAt).toISOString(),
+        exportedAt: new Date(exportedAt).toISOString(),
+        inputs: [
+            ["Country or region", input.country],
+            ["Economic sector", input.sector],
+            ["Analysis focus", modeLabel(input.analysisFocus)],
+            ["Coordinates", hasCoords ? `${input.latitude}, ${input.longitude}` : "Not provided"],
+            ["Location", input.locationLabel || "Not specified"],
+            ...(job.geo ? [["Resolved location (approximate)", describeGeo(job.geo)]] : []),
+            ...(job.followup
+                ? [["Follow-up to job", job.followup.parentJobId], ["Follow-up question", job.followup.question || "Trend changes only"]]
+                : [])
+        ],
+        description: input.description || "",
+        trends: Object.entries(input.trends || {}).map(([name, level]) => {
+            const trend = resolveTrend(name);
+            return {
+                name: trend ? trend.label : name,
+                level,
+                meaning: trend ? trend.levels[level] || "" : ""
+            };
+        }),
+        classification: classification
+            ? `(${classification}) ${CLASSIFICATIONS[classification]}`
+            : "Not stated",
+        sections: Object.values(sections),
+        // Output that ignored the template is still exported as-is
+        rawText: Object.keys(sections).length === 0 ? job.text : null,
+        usage: [
+            ["Tokens used", String(job.tokensUsed || 0)],
+            ["Model", job.model ? `${job.model.provider} / ${job.model.model}` : "Unknown"],
+            ["Prompt template", job.promptVersion || "Unknown"]
+        ]
+    };
+}
+
+// "Antofagasta, Chile - 18 km N of Calama - BWk, arid, inland"
+function describeGeo(geo) {
+    const place = [geo.adminRegion, geo.country?.name].filter(Boolean).join(", ") || "Unresolved";
+    const near = `${geo.nearestSettlement.distanceKm} km ${geo.nearestSettlement.bearing} of ${geo.nearestSettlement.name}`;
+    const mismatch = geo.countryMatch === false ? " (outside the stated country)" : "";
+    return `${place}${mismatch} - ${near} - ${[geo.climate.code, ...geo.tags].join(", ")}`;
+}
+
+export function toMarkdown(report) {
+    const lines = [
+        `# ${report.title}`,
+        "",
+        `Generated: ${report.generatedAt}  `,
+        `Exported: ${report.exportedAt}`,
+        "",
+        "## Inputs",
+        "",
+        ...report.inputs.map(([label, value]) => `- **${label}:** ${value}`),
+        "",
+        "**Situation description**",
+        "",
+        report.description,
+        "",
+        "**Trend levels**",
+        "",
+        ...(report.trends.length > 0
+            ? report.trends.map(t => `- ${t.name}: Level ${t.level}${t.meaning ? ` - ${t.meaning}` : ""}`)
+            : ["- (none provided)"]),
+        "",
+        `## Classification: ${report.classification}`,
+        ""
+    ];
+
+    for (const section of report.sections) {
+        lines.push(`## ${section.key}) ${section.title}`, "");
+        if (section.lead) lines.push(section.lead, "");
+        if (section.bullets.length > 0) lines.push(...section.bullets.map(b => `- ${b}`), "");
+    }
+
+    if (report.rawText) lines.push("## Scenario", "", report.rawText, "");
+
+    lines.push("## Usage", "", ...report.usage.map(([label, value]) => `- **${label}:** ${value}`), "");
+
+    return lines.join("\n");
+}
+
+export function toHtml(report) {
+    const esc = (value) => String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+    const list = (items) => `<ul>${items.map(item => `<li>${item}</li>`).join("")}</ul>`;
+
+    const sections = report.sections.map(section => `
+<h2>${esc(section.key)}) ${esc(section.title)}</h2>
+${section.lead ? `<p class="lead">${esc(section.lead)}</p>` : ""}
+${section.bullets.length > 0 ? list(section.bullets.map(esc)) : ""}`).join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(report.title)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; max-width: 760px; margin: 40px auto; color: #222; line-height: 1.5; }
+h1 { margin-bottom: 4px; }
+h2 { border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+.meta { color: #666; font-size: 0.9em; }
+.lead { font-style: italic; }
+pre { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${esc(report.title)}</h1>
+<p class="meta">Generated: ${esc(report.generatedAt)} &middot; Exported: ${esc(report.exportedAt)}</p>
+<h2>Inputs</h2>
+${list(report.inputs.map(([label, value]) => `<strong>${esc(label)}:</strong> ${esc(value)}`))}
+<p><strong>Situation description</strong></p>
+<p>${esc(report.description)}</p>
+<p><strong>Trend levels</strong></p>
+${report.trends.length > 0
+        ? list(report.trends.map(t => `${esc(t.name)}: Level ${esc(t.level)}${t.meaning ? ` - ${esc(t.meaning)}` : ""}`))
+        : "<p>(none provided)</p>"}
+<h2>Classification: ${esc(report.classification)}</h2>
+${sections}
+${report.rawText ? `<h2>Scenario</h2>\n<pre>${esc(report.rawText)}</pre>` : ""}
+<h2>Usage</h2>
+${list(report.usage.map(([label, value]) => `<strong>${esc(label)}:</strong> ${esc(value)}`))}
+</body>
+</html>
+`;
+}
+
+/**
+ * -------------------------
+ * MINIMAL PDF WRITER
+ * A4 pages, Helvetica / Helvetica-Bold, WinAnsi text, simple word wrap.
+ * -------------------------
+ */
+
+const PAGE = { width: 595, height: 842, margin: 50 };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Unicode punctuation the model likes -> WinAnsiEncoding byte
+const WIN_ANSI = {
+    "–": 0x96, "—": 0x97, "•": 0x95, "‘": 0x91, "’": 0x92,
+    "“": 0x93, "”": 0x94, "…": 0x85, "€": 0x80
+};
+
+function textWidth(text, size, bold) {
+    let units = 0;
+    for (const ch of text) {
+        const code = ch.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    // Bold glyphs run slightly wider; close enough for wrapping
+    return (units * size / 1000) * (bold ? 1.06 : 1);
+}
+
+function wrap(text, size, bold, maxWidth) {
+    const lines = [];
+    for (const paragraph of String(text ?? "").split(/\r?\n/)) {
+        let line = "";
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && textWidth(candidate, size, bold) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+function pdfString(text) {
+    let out = "";
+    for (const ch of text) {
+        let code = WIN_ANSI[ch] ?? ch.charCodeAt(0);
+        if (code > 255) code = 0x3F; // "?" for anything WinAnsi can't show
+        if (ch === "(" || ch === ")" || ch === "\\") out += `\\${ch}`;
+        else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, "0")}`;
+        else out += ch;
+    }
+    return `(${out})`;
+}
+
+export function toPdf(report) {
+    const blocks = [];
+    const heading = (text, size = 14) => blocks.push({ text, size, bold: true, gap: 14 });
+    const para = (text, { indent = 0, bold = false, gap = 4, bullet = false } = {}) =>
+        blocks.push({ text, size: 10, bold, indent, gap, bullet });
+
+    blocks.push({ text: report.title, size: 20, bold: true, gap: 0 });
+    para(`Generated: ${report.generatedAt}    Exported: ${report.exportedAt}`, { gap: 6 });
+
+    heading("Inputs");
+    for (const [label, value] of report.inputs) para(`${label}: ${value}`);
+    para("Situation description", { bold: true, gap: 8 });
+    para(report.description);
+    para("Trend levels", { bold: true, gap: 8 });
+    if (report.trends.length === 0) para("(none provided)");
+    for (const t of report.trends) {
+        para(`${t.name}: Level ${t.level}${t.meaning ? ` - ${t.meaning}` : ""}`, { indent: 12, bullet: true });
+    }
+
+    heading(`Classification: ${report.classification}`);
+
+    for (const section of report.sections) {
+        heading(`${section.key}) ${section.title}`, 13);
+        if (section.lead) para(section.lead, { gap: 4 });
+        for (const bullet of section.bullets) para(bullet, { indent: 12, bullet: true });
+    }
+
+    if (report.rawText) {
+        heading("Scenario");
+        para(report.rawText);
+    }
+
+    heading("Usage");
+    for (const [label, value] of report.usage) para(`${label}: ${value}`);
+
+    // Lay out blocks into pages of text operations
+    const pages = [];
+    let ops = [];
+    let y = PAGE.height - PAGE.margin;
+    const newPage = () => {
+        pages.push(ops);
+        ops = [];
+        y = PAGE.height - PAGE.margin;
+    };
+
+    for (const block of blocks) {
+        const indent = block.indent || 0;
+        const leading = block.size * 1.35;
+        const lines = wrap(block.text, block.size, block.bold, PAGE.width - 2 * PAGE.margin - indent);
+
+        y -= block.gap;
+        lines.forEach((line, index) => {
+            if (y - leading < PAGE.margin) newPage();
+            y -= leading;
+            const font = block.bold ? "F2" : "F1";
+            if (block.bullet && index === 0) {
+                ops.push(`BT /F1 ${block.size} Tf ${PAGE.margin + indent - 9} ${y.toFixed(2)} Td ${pdfString("•")} Tj ET`);
+            }
+            ops.push(`BT /${font} ${block.size} Tf ${PAGE.margin + indent} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`);
+        });
+    }
+    pages.push(ops);
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, then (page, content) pairs
+    const objects = [];
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+
+    objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+    objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+    objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+
+    pages.forEach((pageOps, i) => {
+        const pageId = pageIds[i];
+        const content = pageOps.join("\n");
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+    });
+
+    let pdf = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n";
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(pdf, "latin1");
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, "latin1");
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, "latin1");
+}
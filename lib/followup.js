@@ -0,0 +1,65 @@
+import { resolveTrend } from "./trends.js";
+
+/**
+ * -------------------------
+ * FOLLOW-UP ("WHAT-IF") QUESTIONS
+ * A follow-up continues a completed job's model conversation with a question
+ * and/or changed trend levels, and produces a new full A–F scenario.
+ * -------------------------
+ */
+
+const MAX_QUESTION_LENGTH = 2000;
+
+/**
+ * Returns an error message for a bad follow-up body, or null.
+ * Trend names/levels are checked separately with validateTrends().
+ */
+export function validateFollowupPayload({ question, trends, priority = 0 } = {}) {
+    if (question !== undefined && question !== null && typeof question !== "string") {
+        return "question must be a string";
+    }
+    if (typeof question === "string" && question.length > MAX_QUESTION_LENGTH) {
+        return `question must be at most ${MAX_QUESTION_LENGTH} characters`;
+    }
+    if (!question?.trim() && (!trends || Object.keys(trends).length === 0)) {
+        return "A follow-up needs a question, changed trends, or both";
+    }
+    if (!Number.isInteger(priority)) {
+        return "priority must be an integer (higher runs first)";
+    }
+    return null;
+}
+
+/**
+ * Levels that differ between two normalised trend maps: [{ trend, from, to }]
+ * (`from` is null for a trend the parent did not set)
+ */
+export function diffTrends(before, after) {
+    return Object.entries(after)
+        .filter(([trend, level]) => before[trend] !== level)
+        .map(([trend, level]) => ({ trend, from: before[trend] ?? null, to: level }));
+}
+
+export function buildFollowupPrompt({ question, trendChanges = [] }) {
+    const changes = trendChanges.map(({ trend: name, from, to }) => {
+        const trend = resolveTrend(name);
+        const label = trend ? `${name} (hard limit: ${trend.hardLimit})` : name;
+        const meaning = trend ? ` - ${trend.levels[to]}` : "";
+        return from === null
+            ? `- ${label}: now set to Level ${to}${meaning}`
+            : `- ${label}: Level ${from} -> Level ${to}${meaning}`;
+    });
+
+    return `
+Follow-up question
+${question?.trim() || "How does the scenario change under the trend settings below?"}
+
+Trend changes since the previous answer
+${changes.length > 0 ? changes.join("\n") : "- (none; all trend levels unchanged)"}
+
+Instruction
+Issue the complete scenario again in the same A–F format, applying the question and any trend changes above.
+Keep everything they do not affect consistent with the previous answer.
+Follow the instructions exactly.
+`.trim();
+}
@@ -0,0 +1,243 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * -------------------------
+ * OFFLINE GEO ENRICHMENT
+ * Resolves latitude/longitude against bundled data (./data, no network):
+ * country, admin region, nearest settlement, Köppen climate zone and
+ * coastal/inland setting, plus a check against the stated country.
+ * The data is coarse (major settlements, country bounding boxes), so results
+ * are labelled approximate and never block a job.
+ * -------------------------
+ */
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "data");
+const load = (name) => JSON.parse(fs.readFileSync(path.join(DATA_DIR, name), "utf8"));
+
+const { countries: COUNTRIES } = load("countries.json");
+const { fields, settlements: ROWS } = load("settlements.json");
+const SETTLEMENTS = ROWS.map(row => Object.fromEntries(fields.map((field, i) => [field, row[i]])));
+
+const BY_CODE = new Map(COUNTRIES.map(country => [country.code, country]));
+
+// Beyond this, the nearest settlement says little about the place itself
+const NEAR_KM = 250;
+const COASTAL_KM = 50;
+const REMOTE_KM = 150;
+
+const CLIMATE_GROUPS = {
+    A: { tag: "tropical", label: "Tropical" },
+    B: { tag: "arid", label: "Arid / semi-arid" },
+    C: { tag: "temperate", label: "Temperate" },
+    D: { tag: "continental", label: "Continental (cold winters)" },
+    E: { tag: "polar", label: "Polar / tundra" }
+};
+
+// Location tag -> exposure worth stating in the prompt (wording matches the trend hard limits)
+const EXPOSURES = {
+    arid: "water scarcity and heat extremes are likely binding (Climate Limits: heat/water extremes)",
+    tropical: "heavy rainfall, flooding and heat stress (Climate Limits); humidity and storms affect equipment and access",
+    continental: "cold winters and seasonal access; heating demand raises exposure to Energy Fragility",
+    polar: "extreme cold, permafrost and short logistics seasons",
+    coastal: "sea-level rise, storm surge and salt-water intrusion; port access is a lever and a dependency",
+    inland: "depends on land corridors (road/rail/pipeline) for imports and exports",
+    remote: "long supply lines and thin local services, workforce and enforcement presence"
+};
+
+const plain = (name) => String(name).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+const keyOf = (name) => plain(name).replace(/[^a-z0-9]/g, "");
+const wordsOf = (name) => plain(name).replace(/[^a-z0-9]+/g, " ").trim();
+
+const COUNTRY_KEYS = new Map();
+for (const country of COUNTRIES) {
+    for (const name of [country.code, country.name, ...country.aliases]) {
+        COUNTRY_KEYS.set(keyOf(name), country);
+    }
+}
+
+const hasValue = (value) => value !== undefined && value !== null && value !== "";
+
+/**
+ * Field-level checks, same shape as validateTrends: [{ field, message }]
+ */
+export function validateCoordinates({ latitude, longitude } = {}) {
+    if (!hasValue(latitude) && !hasValue(longitude)) return [];
+
+    if (hasValue(latitude) !== hasValue(longitude)) {
+        const missing = hasValue(latitude) ? "longitude" : "latitude";
+        return [{ field: missing, message: "latitude and longitude must be given together" }];
+    }
+
+    const errors = [];
+    for (const [field, value, limit] of [["latitude", latitude, 90], ["longitude", longitude, 180]]) {
+        const number = typeof value === "string" ? Number(value.trim()) : value;
+        if (typeof number !== "number" || !Number.isFinite(number)) {
+            errors.push({ field, message: `${field} must be a number (got ${JSON.stringify(value)})` });
+        } else if (Math.abs(number) > limit) {
+            errors.push({ field, message: `${field} must be between -${limit} and ${limit} (got ${number})` });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Catalog country for a free-text country/region ("Chile", "northern Chile", "CL"), or null
+ */
+export function resolveCountry(name) {
+    if (!hasValue(name)) return null;
+
+    const exact = COUNTRY_KEYS.get(keyOf(name));
+    if (exact) return exact;
+
+    // "Antofagasta region, Chile": look for a country name among the words (skipping short codes)
+    const text = ` ${wordsOf(name)} `;
+    for (const country of COUNTRIES) {
+        for (const candidate of [country.name, ...country.aliases]) {
+            if (keyOf(candidate).length > 3 && text.includes(` ${wordsOf(candidate)} `)) return country;
+        }
+    }
+    return null;
+}
+
+/**
+ * Derived location context for a job, or null without coordinates.
+ * Call validateCoordinates() first.
+ */
+export function enrichLocation({ latitude, longitude, country: statedCountry } = {}) {
+    if (!hasValue(latitude) || !hasValue(longitude)) return null;
+
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+
+    const ranked = SETTLEMENTS
+        .map(place => ({ place, km: distanceKm(lat, lon, place.lat, place.lon) }))
+        .sort((a, b) => a.km - b.km);
+
+    // Countries whose boxes contain the point; the stated one wins when it is among them
+    const containing = COUNTRIES.filter(country => inCountry(country, lat, lon));
+    const stated = resolveCountry(statedCountry);
+    const nearest = ranked[0];
+
+    let country = null;
+    if (stated && containing.includes(stated)) country = stated;
+    else if (nearest.km <= NEAR_KM && containing.some(c => c.code === nearest.place.country)) country = BY_CODE.get(nearest.place.country);
+    else if (containing.length > 0) country = containing.sort((a, b) => boxArea(a) - boxArea(b))[0];
+    else if (nearest.km <= NEAR_KM) country = BY_CODE.get(nearest.place.country);
+
+    // Nearest settlement in the resolved country (falls back to the overall nearest)
+    const local = (country && ranked.find(entry => entry.place.country === country.code)) || nearest;
+    const settlement = local.km <= NEAR_KM ? local : nearest;
+
+    // Only judged from places close by: most coastline has no listed coastal settlement,
+    // so "inland" needs a nearby settlement that is itself inland
+    const nearestCoastal = ranked.find(entry => entry.place.coastal);
+    const coastal = Boolean(nearestCoastal && nearestCoastal.km <= COASTAL_KM);
+    const inland = !coastal && nearest.km <= COASTAL_KM && !nearest.place.coastal;
+    const setting = coastal ? "coastal" : inland ? "inland" : "unknown";
+
+    const climateCode = settlement.km <= NEAR_KM ? settlement.place.climate : climateFromLatitude(lat);
+    const climate = {
+        code: climateCode,
+        ...CLIMATE_GROUPS[climateCode[0]],
+        source: settlement.km <= NEAR_KM ? `nearest settlement (${settlement.place.name})` : "latitude band only"
+    };
+
+    const tags = [climate.tag];
+    if (setting !== "unknown") tags.push(setting);
+    if (nearest.km > REMOTE_KM) tags.push("remote");
+    if (Math.abs(lat) >= 60) tags.push("high-latitude");
+
+    const countryMatch = stated ? inCountry(stated, lat, lon) : null;
+    const warnings = [];
+    if (countryMatch === false) {
+        warnings.push(
+            `Coordinates fall outside the stated country (${stated.name})` +
+            (country ? `; they resolve to ${country.name}` : "")
+        );
+    }
+    if (nearest.km > NEAR_KM) {
+        warnings.push(`No settlement in the dataset within ${NEAR_KM} km (nearest: ${nearest.place.name}, ${Math.round(nearest.km)} km); the point may be offshore or very remote`);
+    }
+
+    return {
+        latitude: lat,
+        longitude: lon,
+        country: country ? { code: country.code, name: country.name } : null,
+        statedCountry: stated ? { code: stated.code, name: stated.name } : null,
+        countryMatch,
+        adminRegion: settlement.km <= NEAR_KM && settlement.place.country === country?.code ? settlement.place.admin1 : null,
+        nearestSettlement: {
+            name: settlement.place.name,
+            country: settlement.place.country,
+            distanceKm: Math.round(settlement.km),
+            bearing: bearingLabel(settlement.place.lat, settlement.place.lon, lat, lon)
+        },
+        climate,
+        setting,
+        distanceToCoastKm: nearestCoastal && nearestCoastal.km <= COASTAL_KM ? Math.round(nearestCoastal.km) : null,
+        tags,
+        exposures: tags.filter(tag => EXPOSURES[tag]).map(tag => EXPOSURES[tag]),
+        warnings,
+        source: "bundled offline dataset (approximate)"
+    };
+}
+
+/**
+ * Prompt lines for the "Local geography and location" block
+ */
+export function describeLocation(geo) {
+    if (!geo) return [];
+
+    const place = [geo.adminRegion, geo.country?.name].filter(Boolean).join(", ");
+    const settlement = geo.nearestSettlement;
+    const lines = [
+        `Resolved location (offline lookup, approximate): ${place || "unresolved"}; ` +
+            `${settlement.distanceKm} km ${settlement.bearing} of ${settlement.name}`,
+        `Climate zone: ${geo.climate.label} (Köppen ${geo.climate.code}); tags: ${geo.tags.join(", ")}`,
+        ...geo.exposures.map(exposure => `Location-linked exposure: ${exposure}`)
+    ];
+
+    for (const warning of geo.warnings) {
+        lines.push(`Location check: ${warning}. Treat the location as uncertain and say so where it matters.`);
+    }
+    return lines;
+}
+
+function inCountry(country, lat, lon) {
+    // Half a degree of slack for coastlines and box rounding
+    return country.boxes.some(([minLat, minLon, maxLat, maxLon]) =>
+        lat >= minLat - 0.5 && lat <= maxLat + 0.5 && lon >= minLon - 0.5 && lon <= maxLon + 0.5);
+}
+
+function boxArea(country) {
+    return country.boxes.reduce((sum, [minLat, minLon, maxLat, maxLon]) => sum + (maxLat - minLat) * (maxLon - minLon), 0);
+}
+
+function climateFromLatitude(lat) {
+    const abs = Math.abs(lat);
+    if (abs >= 66) return "ET";
+    if (abs >= 50) return "Dfc";
+    if (abs >= 35) return "Cfb";
+    if (abs >= 23) return "BSh";
+    return "Aw";
+}
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Compass direction from the settlement to the point ("NE of Calama")
+function bearingLabel(fromLat, fromLon, toLat, toLon) {
+    const y = Math.sin(toRad(toLon - fromLon)) * Math.cos(toRad(toLat));
+    const x = Math.cos(toRad(fromLat)) * Math.sin(toRad(toLat)) -
+        Math.sin(toRad(fromLat)) * Math.cos(toRad(toLat)) * Math.cos(toRad(toLon - fromLon));
+    const degrees = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    return ["N", "NE", "E", "SE", "S", "SW", "W", "NW"][Math.round(degrees / 45) % 8];
+}
@@ -0,0 +1,87 @@
+import { logger } from "./logger.js";
+
+/**
+ * -------------------------
+ * JOB QUEUE
+ * Bounded concurrency for model streams.
+ * Higher priority runs first; equal priority is FIFO.
+ * -------------------------
+ */
+
+// Start-time estimates before any job has finished
+const DEFAULT_DURATION_MS = 60 * 1000;
+
+export function createJobQueue({ concurrency = 4 } = {}) {
+    const waiting = []; // { jobId, task, priority, seq }
+    const running = new Map(); // jobId -> startedAt
+    let seq = 0;
+    let avgDurationMs = DEFAULT_DURATION_MS;
+
+    function enqueue(jobId, task, { priority = 0 } = {}) {
+        const entry = { jobId, task, priority, seq: seq++ };
+
+        // Insert after every entry with the same or higher priority
+        const index = waiting.findIndex(other => other.priority < priority);
+        if (index === -1) waiting.push(entry);
+        else waiting.splice(index, 0, entry);
+
+        drain();
+    }
+
+    function drain() {
+        while (running.size < concurrency && waiting.length > 0) {
+            start(waiting.shift());
+        }
+    }
+
+    function start({ jobId, task }) {
+        const startedAt = Date.now();
+        running.set(jobId, startedAt);
+
+        Promise.resolve()
+            .then(task)
+            .catch(err => logger.error("Queued task error", { jobId, err }))
+            .finally(() => {
+                running.delete(jobId);
+                // Moving average keeps the estimate current without storing history
+                avgDurationMs = Math.round(avgDurationMs * 0.7 + (Date.now() - startedAt) * 0.3);
+                drain();
+            });
+    }
+
+    // Drop a job that is still waiting (e.g. cancelled); running jobs are left alone
+    function remove(jobId) {
+        const index = waiting.findIndex(entry => entry.jobId === jobId);
+        if (index === -1) return false;
+        waiting.splice(index, 1);
+        return true;
+    }
+
+    // 1-based place in line, or null if the job is not waiting
+    function position(jobId) {
+        const index = waiting.findIndex(entry => entry.jobId === jobId);
+        return index === -1 ? null : index + 1;
+    }
+
+    function estimatedStartAt(jobId) {
+        const pos = position(jobId);
+        if (pos === null) return null;
+
+        // Each "wave" of `concurrency` jobs ahead of us takes about one average run
+        const waves = Math.ceil(pos / concurrency);
+        return Date.now() + waves * avgDurationMs;
+    }
+
+    return {
+        enqueue,
+        remove,
+        position,
+        estimatedStartAt,
+        stats: () => ({
+            concurrency,
+            running: running.size,
+            waiting: waiting.length,
+            avgDurationMs
+        })
+    };
+}
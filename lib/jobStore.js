@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+/**
+ * -------------------------
+ * JOB STORE
+ * Map-like interface in front of job records:
+ *   get / set / has / delete / entries / values / size
+ *   save(jobId)  - record was mutated in place, persist it (debounced)
+ *   flush(jobId) - persist now (terminal states, shutdown)
+ *
+ * "memory" keeps the old behaviour; "file" writes one JSON file per job
+ * so results survive restarts and redeploys (mount a persistent disk on Render).
+ * -------------------------
+ */
+
+const SAVE_DELAY_MS = 500;
+
+export function createJobStore({ driver = "memory", dir, transientFields = [] } = {}) {
+    if (driver === "memory") return createMemoryJobStore();
+    if (driver === "file") return createFileJobStore({ dir, transientFields });
+    throw new Error(`Unknown job store driver: ${driver}`);
+}
+
+export function createMemoryJobStore() {
+    const jobs = new Map();
+
+    return {
+        driver: "memory",
+        get: (jobId) => jobs.get(jobId),
+        set: (jobId, job) => {
+            job.updatedAt = Date.now();
+            jobs.set(jobId, job);
+        },
+        has: (jobId) => jobs.has(jobId),
+        delete: (jobId) => jobs.delete(jobId),
+        entries: () => jobs.entries(),
+        values: () => jobs.values(),
+        get size() {
+            return jobs.size;
+        },
+        save: (jobId) => {
+            const job = jobs.get(jobId);
+            if (job) job.updatedAt = Date.now();
+        },
+        flush: () => {}
+    };
+}
+
+export function createFileJobStore({ dir, transientFields = [] }) {
+    if (!dir) throw new Error("File job store needs a directory");
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const jobs = new Map();
+    const pending = new Map(); // jobId -> debounce timer
+
+    const fileFor = (jobId) => path.join(dir, `${jobId}.json`);
+
+    // Load everything that survived the last process
+    for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith(".json")) continue;
+        try {
+            const record = JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+            jobs.set(path.basename(name, ".json"), record);
+        } catch (err) {
+            logger.error("Skipping unreadable job file", { file: name, error: err.message });
+        }
+    }
+
+    function write(jobId) {
+        clearTimeout(pending.get(jobId));
+        pending.delete(jobId);
+
+        const job = jobs.get(jobId);
+        if (!job) return;
+
+        const record = { ...job };
+        for (const field of transientFields) delete record[field];
+
+        // Write-then-rename so a crash never leaves half a file behind
+        const file = fileFor(jobId);
+        try {
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(record));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            logger.error("Failed to persist job", { jobId, error: err.message });
+        }
+    }
+
+    return {
+        driver: "file",
+        get: (jobId) => jobs.get(jobId),
+        set: (jobId, job) => {
+            job.updatedAt = Date.now();
+            jobs.set(jobId, job);
+            write(jobId);
+        },
+        has: (jobId) => jobs.has(jobId),
+        delete: (jobId) => {
+            clearTimeout(pending.get(jobId));
+            pending.delete(jobId);
+            fs.rmSync(fileFor(jobId), { force: true });
+            return jobs.delete(jobId);
+        },
+        entries: () => jobs.entries(),
+        values: () => jobs.values(),
+        get size() {
+            return jobs.size;
+        },
+        save: (jobId) => {
+            const job = jobs.get(jobId);
+            if (!job) return;
+            job.updatedAt = Date.now();
+            if (!pending.has(jobId)) {
+                pending.set(jobId, setTimeout(() => write(jobId), SAVE_DELAY_MS));
+            }
+        },
+        flush: (jobId) => {
+            if (jobId) return write(jobId);
+            for (const id of [...pending.keys()]) write(id);
+        }
+    };
+}
@@ -0,0 +1,232 @@
+import crypto from "crypto";
+import { parseSections, extractDominantConstraint, CLASSIFICATIONS } from "./sections.js";
+
+/**
+ * -------------------------
+ * SCENARIO LIBRARY
+ * Completed jobs saved with a title and tags, kept apart from the job store
+ * (and its cleanup). Each entry snapshots the scenario and the create payload
+ * that produced it, so it can be searched, shared read-only and run again.
+ * -------------------------
+ */
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Fields of a create payload worth replaying (callbackUrl and fresh are per request)
+const PAYLOAD_FIELDS = [
+    "country", "sector", "description", "latitude", "longitude", "locationLabel", "trends",
+    "allowUnknownTrends", "analysisFocus", "promptVersion", "autoRepair", "priority", "budget"
+];
+
+// What a re-run may change; everything else comes from the saved payload
+export const RERUN_OVERRIDES = ["promptVersion", "autoRepair", "priority", "budget", "callbackUrl"];
+
+/**
+ * Field-level errors for a title/tags body ([] when usable). `partial` skips
+ * the required-title check, for updates.
+ */
+export function validateLibraryFields({ title, tags } = {}, { partial = false } = {}) {
+    const errors = [];
+
+    if (title === undefined && !partial) {
+        errors.push({ field: "title", message: "title is required" });
+    } else if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+        errors.push({ field: "title", message: "title must be a non-empty string" });
+    } else if (typeof title === "string" && title.trim().length > MAX_TITLE_LENGTH) {
+        errors.push({ field: "title", message: `title must be at most ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    if (tags !== undefined && tags !== null) {
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== "string")) {
+            errors.push({ field: "tags", message: "tags must be an array of strings" });
+        } else if (tags.length > MAX_TAGS) {
+            errors.push({ field: "tags", message: `At most ${MAX_TAGS} tags` });
+        } else {
+            tags.forEach((tag, index) => {
+                if (!tag.trim() || tag.trim().length > MAX_TAG_LENGTH) {
+                    errors.push({ field: `tags.${index}`, message: `Tags must be 1-${MAX_TAG_LENGTH} characters` });
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Lower-case, trimmed, without duplicates, in the order given
+export function normalizeTags(tags) {
+    return [...new Set((tags || []).map(tag => tag.trim().toLowerCase()))];
+}
+
+// The replayable part of a create payload (recorded on every job as job.request)
+export function replayablePayload(payload) {
+    return Object.fromEntries(PAYLOAD_FIELDS
+        .filter(field => payload[field] !== undefined && payload[field] !== null)
+        .map(field => [field, payload[field]]));
+}
+
+/**
+ * The create payload that reproduces a job. Jobs from before payloads were
+ * recorded fall back to their inputs (and ran the original prompt if unversioned).
+ */
+export function createPayloadOf(job) {
+    return replayablePayload(job.request || { ...job.input, promptVersion: job.promptVersion || "strateko-v1" });
+}
+
+/**
+ * New library entry from a completed job
+ */
+export function libraryEntryFromJob(jobId, job, { title, tags, clientId, savedAt = Date.now() }) {
+    const { sections, classification } = parseSections(job.text, { final: true });
+    const dominant = extractDominantConstraint(sections.C);
+
+    return {
+        title: title.trim(),
+        tags: normalizeTags(tags),
+        clientId: clientId || null,
+        jobId,
+        savedAt,
+        input: job.input,
+        geo: job.geo || null,
+        payload: createPayloadOf(job),
+        followup: job.followup || null,
+        scenario: job.text,
+        classification,
+        dominantConstraint: dominant ? dominant.label : null,
+        validation: job.validation || null,
+        promptVersion: job.promptVersion || null,
+        model: job.model || null,
+        usage: job.usage || null,
+        cost: job.cost ?? null,
+        jobCreatedAt: job.createdAt,
+        jobCompletedAt: job.completedAt,
+        share: null,
+        runs: []
+    };
+}
+
+export function createShareToken() {
+    return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Parses list/search query parameters: { query } or { errors }
+ *   country, sector     case-insensitive substring
+ *   analysisFocus       exact mode id
+ *   classification      A-D
+ *   tag                 comma-separated or repeated; every tag must be present
+ *   q                   free text; every word must appear in the title, tags,
+ *                       inputs, location or scenario text
+ *   limit, offset       paging (limit 1-200, default 50)
+ */
+export function parseLibraryQuery(params = {}) {
+    const errors = [];
+    const text = (name) => typeof params[name] === "string" && params[name].trim() ? params[name].trim() : null;
+
+    const classification = text("classification")?.toUpperCase() || null;
+    if (classification && !CLASSIFICATIONS[classification]) {
+        errors.push({ field: "classification", message: `classification must be one of: ${Object.keys(CLASSIFICATIONS).join(", ")}` });
+    }
+
+    const limit = params.limit === undefined ? 50 : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        errors.push({ field: "limit", message: "limit must be an integer from 1 to 200" });
+    }
+    const offset = params.offset === undefined ? 0 : Number(params.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        errors.push({ field: "offset", message: "offset must be a non-negative integer" });
+    }
+
+    if (errors.length > 0) return { errors };
+
+    const tags = [].concat(params.tag || []).flatMap(value => String(value).split(","));
+    return {
+        query: {
+            country: text("country")?.toLowerCase() || null,
+            sector: text("sector")?.toLowerCase() || null,
+            analysisFocus: text("analysisFocus"),
+            classification,
+            tags: normalizeTags(tags.filter(tag => tag.trim())),
+            words: (text("q") || "").toLowerCase().split(/\s+/).filter(Boolean),
+            limit,
+            offset
+        }
+    };
+}
+
+export function matchesLibraryQuery(entry, query) {
+    const input = entry.input || {};
+
+    if (query.country && !String(input.country || "").toLowerCase().includes(query.country)) return false;
+    if (query.sector && !String(input.sector || "").toLowerCase().includes(query.sector)) return false;
+    if (query.analysisFocus && input.analysisFocus !== query.analysisFocus) return false;
+    if (query.classification && entry.classification !== query.classification) return false;
+    if (query.tags.some(tag => !entry.tags.includes(tag))) return false;
+
+    if (query.words.length > 0) {
+        const haystack = [
+            entry.title,
+            entry.tags.join(" "),
+            input.country,
+            input.sector,
+            input.description,
+            input.locationLabel,
+            entry.geo?.country?.name,
+            entry.geo?.adminRegion,
+            entry.dominantConstraint,
+            entry.followup?.question,
+            entry.scenario
+        ].filter(Boolean).join("\n").toLowerCase();
+
+        if (query.words.some(word => !haystack.includes(word))) return false;
+    }
+
+    return true;
+}
+
+/**
+ * List view of an entry (no scenario text)
+ */
+export function librarySummary(entryId, entry) {
+    return {
+        entryId,
+        title: entry.title,
+        tags: entry.tags,
+        country: entry.input?.country ?? null,
+        sector: entry.input?.sector ?? null,
+        analysisFocus: entry.input?.analysisFocus ?? null,
+        classification: entry.classification,
+        classificationLabel: entry.classification ? CLASSIFICATIONS[entry.classification] : null,
+        dominantConstraint: entry.dominantConstraint,
+        jobId: entry.jobId,
+        shared: Boolean(entry.share),
+        savedAt: entry.savedAt,
+        updatedAt: entry.updatedAt
+    };
+}
+
+/**
+ * Read-only view for share links: the scenario and what it was run with,
+ * without the owner, job ids or share token
+ */
+export function sharedView(entry) {
+    const { sections, classification } = parseSections(entry.scenario, { final: true });
+    return {
+        title: entry.title,
+        tags: entry.tags,
+        input: entry.input,
+        geo: entry.geo,
+        followup: entry.followup ? { question: entry.followup.question, trendChanges: entry.followup.trendChanges } : null,
+        scenario: entry.scenario,
+        sections,
+        classification,
+        classificationLabel: classification ? CLASSIFICATIONS[classification] : null,
+        dominantConstraint: entry.dominantConstraint,
+        promptVersion: entry.promptVersion,
+        model: entry.model ? { model: entry.model.model } : null,
+        completedAt: entry.jobCompletedAt,
+        savedAt: entry.savedAt
+    };
+}
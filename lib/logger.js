@@ -0,0 +1,53 @@
+/**
+ * -------------------------
+ * STRUCTURED LOGGING
+ * One JSON object per line: { time, level, msg, ...fields }.
+ * Job-scoped lines carry a jobId field (use logger.child({ jobId })).
+ * LOG_LEVEL=debug|info|warn|error (default info); per-event stream
+ * detail is debug-only so it stays out of production logs.
+ * -------------------------
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't survive JSON.stringify; keep what is useful for debugging
+function serialize(value) {
+    if (!(value instanceof Error)) return value;
+    return {
+        name: value.name,
+        message: value.message,
+        code: value.code ?? value.cause?.code,
+        status: value.status,
+        stack: value.stack
+    };
+}
+
+export function createLogger({ level = "info", fields = {}, write } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+    const out = write || ((levelName, line) => {
+        (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+    });
+
+    function log(levelName, msg, extra = {}) {
+        if (LEVELS[levelName] < threshold) return;
+
+        const entry = { time: new Date().toISOString(), level: levelName, msg, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            if (value !== undefined) entry[key] = serialize(value);
+        }
+        out(levelName, JSON.stringify(entry));
+    }
+
+    return {
+        level: Object.keys(LEVELS).find(name => LEVELS[name] === threshold),
+        debug: (msg, extra) => log("debug", msg, extra),
+        info: (msg, extra) => log("info", msg, extra),
+        warn: (msg, extra) => log("warn", msg, extra),
+        error: (msg, extra) => log("error", msg, extra),
+        // Same output, extra fields on every line
+        child: (more) => createLogger({ level, fields: { ...fields, ...more }, write: out })
+    };
+}
+
+// Process-wide logger; modules log through this (or a child of it)
+export const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
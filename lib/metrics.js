@@ -0,0 +1,115 @@
+/**
+ * -------------------------
+ * METRICS
+ * Small in-process registry rendered in the Prometheus text format (v0.0.4)
+ * for GET /metrics. Counters and histograms accumulate since process start;
+ * gauges are read on every scrape through a collect() callback.
+ * -------------------------
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return "";
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+// Stable series key so {a,b} and {b,a} are the same series
+const seriesKey = (labels) => JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+
+const formatValue = (value) => Number.isFinite(value) ? String(value) : value > 0 ? "+Inf" : value < 0 ? "-Inf" : "NaN";
+
+export function createMetrics({ prefix = "" } = {}) {
+    const metrics = []; // in registration order, so the output is stable
+
+    function register(metric) {
+        if (metrics.some(other => other.name === metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        metrics.push(metric);
+        return metric;
+    }
+
+    // `series` lists the label sets to export as 0 before the first inc()
+    function counter(name, help, { series: initial = [{}] } = {}) {
+        const series = new Map(); // seriesKey -> { labels, value }
+        for (const labels of initial) series.set(seriesKey(labels), { labels, value: 0 });
+        register({
+            name: prefix + name,
+            help,
+            type: "counter",
+            lines: () => [...series.values()].map(({ labels, value }) => `${prefix}${name}${formatLabels(labels)} ${formatValue(value)}`)
+        });
+
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = seriesKey(labels);
+                const entry = series.get(key) || series.set(key, { labels, value: 0 }).get(key);
+                entry.value += amount;
+            }
+        };
+    }
+
+    // collect() returns a number, or [{ labels, value }] for labelled series
+    function gauge(name, help, collect) {
+        register({
+            name: prefix + name,
+            help,
+            type: "gauge",
+            lines: () => {
+                const value = collect();
+                const values = Array.isArray(value) ? value : [{ labels: {}, value }];
+                return values.map(({ labels, value }) => `${prefix}${name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        });
+    }
+
+    function histogram(name, help, buckets, { series: initial = [{}] } = {}) {
+        const bounds = [...buckets].sort((a, b) => a - b);
+        const series = new Map(); // seriesKey -> { labels, counts, sum, count }
+        const empty = (labels) => ({ labels, counts: bounds.map(() => 0), sum: 0, count: 0 });
+        for (const labels of initial) series.set(seriesKey(labels), empty(labels));
+
+        register({
+            name: prefix + name,
+            help,
+            type: "histogram",
+            lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                // Bucket counts are cumulative: le="x" includes everything at or below x
+                ...bounds.map((bound, i) => `${prefix}${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+                `${prefix}${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+                `${prefix}${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+                `${prefix}${name}_count${formatLabels(labels)} ${count}`
+            ])
+        });
+
+        return {
+            observe(value, labels = {}) {
+                if (!Number.isFinite(value)) return;
+                const key = seriesKey(labels);
+                const entry = series.get(key) || series.set(key, empty(labels)).get(key);
+
+                bounds.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            }
+        };
+    }
+
+    function render() {
+        const lines = [];
+        for (const metric of metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.lines());
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    return { counter, gauge, histogram, render };
+}
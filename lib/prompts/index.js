@@ -0,0 +1,93 @@
+import {
+    COMMON_RULES,
+    CORE_LOGIC_HEAD,
+    SECTOR_BASELINE_CHECK,
+    CORE_LOGIC_STRESS,
+    CORE_LOGIC_SCOPE,
+    EXAMPLE_AUTHORIZATION_MINING
+} from "./parts.js";
+import { MODES, modeFocusBlock } from "./modes.js";
+
+/**
+ * -------------------------
+ * PROMPT TEMPLATE REGISTRY
+ * Every template has a version id that is recorded on each job, so any
+ * output can be traced to the exact instructions that produced it.
+ * Shipped templates are never edited: add a new version instead.
+ * -------------------------
+ */
+
+export const TEMPLATES = {
+    // Original inline prompt, byte-for-byte (worked example sits inside CORE LOGIC)
+    "strateko-v1": {
+        description: "Original prompt with the worked example inside CORE LOGIC",
+        modes: ["project", "authorizationFramework"],
+        build: (mode) => `${COMMON_RULES}
+
+${CORE_LOGIC_HEAD}
+${SECTOR_BASELINE_CHECK}
+${CORE_LOGIC_STRESS}
+Scenario
+${EXAMPLE_AUTHORIZATION_MINING}
+${CORE_LOGIC_SCOPE}
+
+${modeFocusBlock(mode)}`
+    },
+
+    // Same rules; the example moves after CORE LOGIC and is labelled as a reference
+    "strateko-v2": {
+        description: "Worked example separated from CORE LOGIC; adds supply-chain, policy and infrastructure modes",
+        modes: Object.keys(MODES),
+        build: (mode) => `${COMMON_RULES}
+
+${CORE_LOGIC_HEAD}
+${SECTOR_BASELINE_CHECK}
+${CORE_LOGIC_STRESS}
+${CORE_LOGIC_SCOPE}
+
+EXAMPLE OUTPUT (reference for format and depth only; do not reuse its facts)
+${EXAMPLE_AUTHORIZATION_MINING}
+
+${modeFocusBlock(mode)}`
+    }
+};
+
+export const DEFAULT_PROMPT_VERSION = "strateko-v2";
+
+export function hasPromptVersion(version) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATES, version);
+}
+
+export function listPromptVersions() {
+    return Object.entries(TEMPLATES).map(([id, template]) => ({
+        id,
+        description: template.description,
+        modes: template.modes
+    }));
+}
+
+/**
+ * Modes offered by a template version, for GET /api/modes and validation
+ */
+export function listModes(version = DEFAULT_PROMPT_VERSION) {
+    return TEMPLATES[version].modes.map(id => ({
+        id,
+        label: MODES[id].label,
+        description: MODES[id].description
+    }));
+}
+
+export function isModeAvailable(modeId, version = DEFAULT_PROMPT_VERSION) {
+    return hasPromptVersion(version) && TEMPLATES[version].modes.includes(modeId);
+}
+
+export function modeLabel(modeId) {
+    return MODES[modeId]?.label || modeId;
+}
+
+export function buildInstructions(modeId, version = DEFAULT_PROMPT_VERSION) {
+    if (!isModeAvailable(modeId, version)) {
+        throw new Error(`Mode "${modeId}" is not available in prompt template ${version}`);
+    }
+    return TEMPLATES[version].build(modeId);
+}
@@ -0,0 +1,50 @@
+/**
+ * -------------------------
+ * ANALYSIS MODES
+ * One entry per analysisFocus value. `focus` and `intervention` become the
+ * MODE FOCUS block at the end of the instructions.
+ * -------------------------
+ */
+
+export const MODES = {
+    project: {
+        label: "Project / investment decision",
+        description: "A proposed project or investment, judged on feasibility and exposure.",
+        focus: "feasibility, capital exposure, operating cost risk, lock-in, rebound, and non-viability triggers",
+        intervention: "The intervention is the proposed project."
+    },
+    authorizationFramework: {
+        label: "Authorization / operating framework",
+        description: "The existing rules, permits and enforcement that shape a sector.",
+        focus: "rules, defaults, incentives, enforcement limits, coordination failure, and path dependence",
+        intervention: "The intervention is the existing framework itself."
+    },
+    supplyChain: {
+        label: "Supply chain / sourcing dependency",
+        description: "A sourcing, logistics or supplier decision and the dependencies it creates.",
+        focus: "single points of failure, upstream concentration, substitution limits, inventory buffers, transport chokepoints, and cascade timing",
+        intervention: "The intervention is the proposed sourcing or supply-chain change."
+    },
+    policyRegulation: {
+        label: "Policy / regulation proposal",
+        description: "A proposed law, regulation, standard or public programme.",
+        focus: "legal authority, enforcement capacity, compliance cost, loopholes, political durability, and who carries the cost",
+        intervention: "The intervention is the proposed policy or regulation."
+    },
+    infrastructureAsset: {
+        label: "Infrastructure asset / long-lived capital",
+        description: "A physical asset built, upgraded or operated over decades.",
+        focus: "design life versus stress horizon, maintenance dependency, physical exposure, stranding risk, and irreversibility",
+        intervention: "The intervention is the asset being built, upgraded or operated."
+    }
+};
+
+export function modeFocusBlock(modeId) {
+    const mode = MODES[modeId];
+    return `
+MODE FOCUS
+${mode.label}.
+In section C emphasize ${mode.focus}.
+${mode.intervention}
+`.trim();
+}
@@ -0,0 +1,50 @@
+import { createOpenAIResponsesProvider } from "./openaiResponses.js";
+import { createOpenAIChatProvider } from "./openaiChat.js";
+import { createMockProvider } from "./mock.js";
+
+/**
+ * -------------------------
+ * MODEL PROVIDERS
+ * A provider is { name, model, stream({ instructions, input, signal, previousResponseId, history }) }
+ * where previousResponseId / history ([{ role, content }] earlier turns) continue
+ * a conversation, and stream() yields provider events:
+ *   { type: "raw", eventType }  upstream event seen (logging only)
+ *   { type: "delta", text }     incremental text
+ *   { type: "text", text }      complete text so far
+ *   { type: "usage", usage, serviceTier }
+ *                               { inputTokens, cachedInputTokens, outputTokens, reasoningTokens, totalTokens },
+ *                               serviceTier as billed (null if not reported)
+ *   { type: "response", id }    stored response id a follow-up can continue from
+ *   { type: "done", reason }    the response finished; a stream that ends without it broke off
+ * Failures are thrown; lib/errors.js classifies them (upstream code on err.code, HTTP status on err.status).
+ * -------------------------
+ */
+
+const PROVIDERS = {
+    "openai-responses": createOpenAIResponsesProvider,
+    "openai-chat": createOpenAIChatProvider,
+    "mock": createMockProvider
+};
+
+/**
+ * Provider settings from the environment, with the original hardcoded values as defaults
+ */
+export function providerSettingsFromEnv(env = process.env) {
+    return {
+        provider: env.MODEL_PROVIDER || "openai-responses",
+        model: env.MODEL_NAME || "gpt-5.2",
+        serviceTier: env.MODEL_SERVICE_TIER || "priority",
+        maxOutputTokens: Number(env.MODEL_MAX_OUTPUT_TOKENS) || 1200,
+        temperature: env.MODEL_TEMPERATURE !== undefined ? Number(env.MODEL_TEMPERATURE) : 0.5,
+        mockScenario: env.MOCK_SCENARIO || "deltas",
+        mockDelayMs: env.MOCK_DELAY_MS !== undefined ? Number(env.MOCK_DELAY_MS) : 20
+    };
+}
+
+export function createProvider(settings) {
+    const factory = PROVIDERS[settings.provider];
+    if (!factory) {
+        throw new Error(`Unknown MODEL_PROVIDER "${settings.provider}" (available: ${Object.keys(PROVIDERS).join(", ")})`);
+    }
+    return factory(settings);
+}
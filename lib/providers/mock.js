@@ -0,0 +1,62 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { translateResponsesEvent } from "./openaiResponses.js";
+
+/**
+ * -------------------------
+ * MOCK PROVIDER (OFFLINE)
+ * Replays a recorded Responses API event stream from ./fixtures/<scenario>.json
+ * through the same translation as the real provider. No network, no API key.
+ *
+ * Scenarios: deltas, no-deltas, fail-midway, done-only, flaky, auth-error
+ * A { "type": "mock.error", message, code?, status?, times? } entry throws at that
+ * point in the stream (only the first `times` streams when set, to exercise retries).
+ * -------------------------
+ */
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+export function listMockScenarios() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(name => name.endsWith(".json"))
+        .map(name => path.basename(name, ".json"));
+}
+
+export function createMockProvider(settings) {
+    const scenario = settings.mockScenario || "deltas";
+    if (!listMockScenarios().includes(scenario)) {
+        throw new Error(`Unknown mock scenario "${scenario}" (available: ${listMockScenarios().join(", ")})`);
+    }
+
+    let streams = 0;
+
+    return {
+        name: "mock",
+        model: settings.model,
+
+        async *stream({ signal }) {
+            const streamNumber = ++streams;
+
+            // Read per request so edited fixtures apply without a restart
+            const { events } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${scenario}.json`), "utf8"));
+
+            for (const event of events) {
+                signal?.throwIfAborted();
+                if (settings.mockDelayMs > 0) {
+                    await new Promise(resolve => setTimeout(resolve, settings.mockDelayMs));
+                }
+
+                if (event.type === "mock.error") {
+                    if (event.times && streamNumber > event.times) continue;
+                    throw Object.assign(new Error(event.message || "Mock stream failed"), {
+                        code: event.code,
+                        status: event.status
+                    });
+                }
+
+                yield* translateResponsesEvent(event);
+            }
+        }
+    };
+}
@@ -0,0 +1,70 @@
+import OpenAI from "openai";
+
+/**
+ * -------------------------
+ * OPENAI CHAT COMPLETIONS PROVIDER
+ * Same provider events as the Responses provider (see translateResponsesEvent)
+ * -------------------------
+ */
+export function createOpenAIChatProvider(settings) {
+    const openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+    });
+
+    return {
+        name: "openai-chat",
+        model: settings.model,
+
+        // No stored responses here: follow-ups replay the earlier turns
+        async *stream({ instructions, input, signal, history = [] }) {
+            const stream = await openai.chat.completions.create({
+                model: settings.model,
+                service_tier: settings.serviceTier,
+                messages: [
+                    { role: "system", content: instructions },
+                    ...history,
+                    { role: "user", content: input }
+                ],
+                max_completion_tokens: settings.maxOutputTokens,
+                temperature: settings.temperature,
+                stream: true,
+                stream_options: { include_usage: true }
+            }, { signal });
+
+            let finishReason = null;
+            for await (const chunk of stream) {
+                yield { type: "raw", eventType: chunk.object };
+
+                const choice = chunk.choices?.[0];
+                if (choice?.delta?.refusal) {
+                    throw Object.assign(new Error(`Model refused: ${choice.delta.refusal}`), { code: "refusal" });
+                }
+                if (choice?.finish_reason === "content_filter") {
+                    throw Object.assign(new Error("Response stopped by the content filter"), { code: "content_filter" });
+                }
+
+                const text = choice?.delta?.content;
+                if (text) yield { type: "delta", text };
+
+                if (chunk.usage) {
+                    yield {
+                        type: "usage",
+                        serviceTier: chunk.service_tier || null,
+                        usage: {
+                            inputTokens: chunk.usage.prompt_tokens || 0,
+                            cachedInputTokens: chunk.usage.prompt_tokens_details?.cached_tokens || 0,
+                            outputTokens: chunk.usage.completion_tokens || 0,
+                            reasoningTokens: chunk.usage.completion_tokens_details?.reasoning_tokens || 0,
+                            totalTokens: chunk.usage.total_tokens || 0
+                        }
+                    };
+                }
+
+                // The usage chunk comes after the finish_reason, so "done" waits for the stream end
+                if (choice?.finish_reason) finishReason = choice.finish_reason;
+            }
+
+            if (finishReason) yield { type: "done", reason: finishReason };
+        }
+    };
+}
@@ -0,0 +1,129 @@
+import OpenAI from "openai";
+
+/**
+ * -------------------------
+ * OPENAI RESPONSES API PROVIDER
+ * -------------------------
+ */
+export function createOpenAIResponsesProvider(settings) {
+    const openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+    });
+
+    return {
+        name: "openai-responses",
+        model: settings.model,
+
+        async *stream({ instructions, input, signal, previousResponseId, history = [] }) {
+            // Stored responses carry the earlier turns; otherwise replay them
+            const continuation = previousResponseId
+                ? { previous_response_id: previousResponseId, input: input }
+                : { input: history.length > 0 ? [...history, { role: "user", content: input }] : input };
+
+            const stream = await openai.responses.stream({
+                model: settings.model,
+                service_tier: settings.serviceTier,
+                instructions: instructions,
+                ...continuation,
+                max_output_tokens: settings.maxOutputTokens,
+                temperature: settings.temperature,
+                background: false,  // Must be false for streaming
+                store: true
+            }, { signal });
+
+            for await (const event of stream) {
+                yield* translateResponsesEvent(event);
+            }
+        }
+    };
+}
+
+/**
+ * Responses API event -> provider events:
+ *   { type: "delta", text }  incremental text
+ *   { type: "text", text }   complete text (used if longer than what was streamed)
+ *   { type: "usage", usage, serviceTier } token counts (and the tier actually billed)
+ *   { type: "response", id } stored response id (for follow-ups)
+ *   { type: "done", reason } the response finished (a stream without it ended early)
+ * Failures throw with the upstream error code on err.code (see lib/errors.js).
+ * Also used by the mock provider to replay recorded streams.
+ */
+export function* translateResponsesEvent(event) {
+    yield { type: "raw", eventType: event.type };
+
+    if (event.response?.id && (event.type === "response.created" || event.type === "response.done" || event.type === "response.completed")) {
+        yield { type: "response", id: event.response.id };
+    }
+
+    // Text delta events (incremental streaming)
+    if (event.type === "response.output_item.delta") {
+        if (event.delta?.type === "text_delta" && event.delta.text) {
+            yield { type: "delta", text: event.delta.text };
+        } else {
+            // Non-text delta still means the response is streaming
+            yield { type: "delta", text: "" };
+        }
+    }
+
+    else if (event.type === "response.output_text.delta") {
+        yield { type: "delta", text: event.delta || "" };
+    }
+
+    // Item completed event
+    else if (event.type === "response.output_item.done") {
+        yield* messageText(event.item);
+    }
+
+    // Response completed event (final); "incomplete" stopped early, e.g. at max_output_tokens
+    else if (event.type === "response.done" || event.type === "response.completed" || event.type === "response.incomplete") {
+        const reason = event.response?.incomplete_details?.reason || null;
+        if (reason === "content_filter") {
+            throw upstreamError("Response stopped by the content filter", "content_filter");
+        }
+
+        if (event.response?.usage) {
+            yield { type: "usage", usage: normalizeUsage(event.response.usage), serviceTier: event.response.service_tier || null };
+        }
+
+        if (Array.isArray(event.response?.output)) {
+            for (const item of event.response.output) {
+                yield* messageText(item);
+            }
+        }
+
+        yield { type: "done", reason };
+    }
+
+    else if (event.type === "response.failed" || event.type === "error") {
+        throw upstreamError(
+            event.response?.error?.message || event.message || "Model stream failed",
+            event.response?.error?.code || event.code
+        );
+    }
+}
+
+function upstreamError(message, code) {
+    return Object.assign(new Error(message), { code: code || undefined });
+}
+
+function* messageText(item) {
+    if (item?.type !== "message" || !Array.isArray(item.content)) return;
+
+    for (const content of item.content) {
+        if (content.type === "output_text" && content.text) {
+            yield { type: "text", text: content.text };
+        } else if (content.type === "refusal") {
+            throw upstreamError(`Model refused: ${content.refusal || "no reason given"}`, "refusal");
+        }
+    }
+}
+
+function normalizeUsage(usage) {
+    return {
+        inputTokens: usage.input_tokens || 0,
+        cachedInputTokens: usage.input_tokens_details?.cached_tokens || 0,
+        outputTokens: usage.output_tokens || 0,
+        reasoningTokens: usage.output_tokens_details?.reasoning_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+    };
+}
@@ -0,0 +1,82 @@
+import crypto from "crypto";
+
+/**
+ * -------------------------
+ * RESULT CACHE AND IN-FLIGHT DEDUPLICATION
+ * Identical create requests share one job instead of paying for another model call:
+ *   - the matching job is still queued/running -> join it
+ *   - it completed less than `ttlMs` ago       -> return it as a cache hit
+ * The key is a hash of the normalised request; the index points at job ids,
+ * so results live in the job store and expire with it.
+ * -------------------------
+ */
+
+// Whitespace-insensitive strings, stable key order, so cosmetic differences still match
+function canonical(value) {
+    if (typeof value === "string") return value.trim().replace(/\s+/g, " ");
+    if (value === undefined || value === null || value === "") return null;
+    if (Array.isArray(value)) return value.map(canonical);
+    if (typeof value === "object") {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    }
+    return value;
+}
+
+export function cacheKey(fields) {
+    return crypto.createHash("sha256").update(JSON.stringify(canonical(fields))).digest("hex");
+}
+
+const RUNNING = ["queued", "in_progress"];
+
+export function createResultCache({ jobs, ttlMs }) {
+    const index = new Map(); // cacheKey -> jobId (latest job for that key)
+    const counters = { hits: 0, joins: 0, misses: 0, bypassed: 0 };
+
+    // Rebuild from stored jobs after a restart
+    const newest = new Map();
+    for (const [jobId, job] of jobs.entries()) {
+        if (!job.cacheKey) continue;
+        const current = newest.get(job.cacheKey);
+        if (!current || job.createdAt > current.createdAt) newest.set(job.cacheKey, { jobId, createdAt: job.createdAt });
+    }
+    for (const [key, { jobId }] of newest) index.set(key, jobId);
+
+    function usable(job) {
+        if (!job) return null;
+        if (RUNNING.includes(job.status)) return "joined";
+        if (job.status === "completed" && Date.now() - job.completedAt < ttlMs) return "hit";
+        return null;
+    }
+
+    /**
+     * { cache: "hit" | "joined", jobId } for a reusable job, or null (counted as a miss)
+     */
+    function lookup(key) {
+        const jobId = index.get(key);
+        const cache = usable(jobs.get(jobId));
+        if (!cache) {
+            counters.misses++;
+            return null;
+        }
+        counters[cache === "hit" ? "hits" : "joins"]++;
+        return { cache, jobId };
+    }
+
+    return {
+        lookup,
+        remember: (key, jobId) => index.set(key, jobId),
+        // Caller asked for a fresh result (or the request can't be shared)
+        bypass: () => counters.bypassed++,
+        // Forget keys whose job expired or can no longer be reused
+        prune() {
+            for (const [key, jobId] of index) {
+                if (!usable(jobs.get(jobId))) index.delete(key);
+            }
+        },
+        stats: () => ({
+            ttlMs,
+            entries: index.size,
+            ...counters
+        })
+    };
+}
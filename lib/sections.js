@@ -0,0 +1,121 @@
+/**
+ * -------------------------
+ * A–F SECTION PARSER
+ * Turns the HARD OUTPUT TEMPLATE text into structured sections.
+ * Safe to call on partial (still streaming) text.
+ * -------------------------
+ */
+
+export const SECTION_TITLES = {
+    A: "Baseline",
+    B: "Stress",
+    C: "Constraints",
+    D: "Classification",
+    E: "Net trajectory",
+    F: "Mitigation"
+};
+
+export const CLASSIFICATIONS = {
+    A: "Business as Usual / Extractive",
+    B: "Efficiency / Optics",
+    C: "Mitigation / Harm Reduction",
+    D: "Repair / Regenerative"
+};
+
+// "A) Baseline", "**A) Baseline**", "### A) Baseline", "A) Baseline:"
+const HEADING_RE = /^\s*(?:#{1,6}\s*)?(?:\*\*)?\s*([A-F])\)\s*(Baseline|Stress|Constraints|Classification|Net trajectory|Mitigation)\b\s*(?:\*\*)?\s*:?\s*(.*)$/i;
+const BULLET_RE = /^\s*(?:[•\-*–]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Parse scenario text into { sections, classification }.
+ * A section is complete once the next heading has started, or when `final` is set.
+ * Missing sections are omitted.
+ */
+export function parseSections(text, { final = false } = {}) {
+    const sections = {};
+    let current = null;
+
+    for (const line of (text || "").split(/\r?\n/)) {
+        const heading = line.match(HEADING_RE);
+        if (heading) {
+            if (current) current.complete = true;
+            const key = heading[1].toUpperCase();
+            current = {
+                key,
+                title: SECTION_TITLES[key],
+                lead: "",
+                bullets: [],
+                complete: false
+            };
+            sections[key] = current;
+            // Inline text after the heading counts as the lead sentence
+            if (heading[3].trim()) current.lead = stripMarkdown(heading[3]);
+            continue;
+        }
+
+        if (!current || !line.trim()) continue;
+
+        const bullet = line.match(BULLET_RE);
+        if (bullet) {
+            current.bullets.push(stripMarkdown(bullet[1]));
+        } else if (current.bullets.length > 0) {
+            // Wrapped continuation of the previous bullet
+            const last = current.bullets.length - 1;
+            current.bullets[last] = `${current.bullets[last]} ${stripMarkdown(line)}`;
+        } else {
+            current.lead = current.lead ? `${current.lead} ${stripMarkdown(line)}` : stripMarkdown(line);
+        }
+    }
+
+    if (current && final) current.complete = true;
+
+    return {
+        sections,
+        classification: extractClassification(sections.D)
+    };
+}
+
+/**
+ * Classification code (A/B/C/D) stated in section D, or null if not yet written.
+ */
+export function extractClassification(sectionD) {
+    if (!sectionD) return null;
+
+    const text = [sectionD.lead, ...sectionD.bullets].join("\n");
+
+    // "Classification: (B)", or a bare "Classification: B - Efficiency / Optics"
+    // (but not "Classification: A mix of ...", where "A" is the article)
+    const labelled = text.match(/Classification\s*[:–—-]?\s*\(?([A-D])\)/i) ||
+        text.match(/[Cc]lassification\s*[:–—-]?\s*([A-D])\b(?![ \t]+[a-z])/);
+    if (labelled) return labelled[1].toUpperCase();
+
+    // "(C) Mitigation / Harm Reduction" without the "Classification:" prefix
+    for (const [code, label] of Object.entries(CLASSIFICATIONS)) {
+        const firstWord = label.split(/\s/)[0];
+        if (new RegExp(`\\(${code}\\)\\s*${firstWord}`, "i").test(text)) return code;
+    }
+
+    return null;
+}
+
+/**
+ * Dominant constraint named in section C: { label, text } or null.
+ * Uses the "Dominant constraint:" bullet, else the first bullet (the prompt puts it first).
+ */
+export function extractDominantConstraint(sectionC) {
+    if (!sectionC) return null;
+
+    const bullet = sectionC.bullets.find(b => /^dominant constraint\b/i.test(b)) || sectionC.bullets[0];
+    if (!bullet) return null;
+
+    // "Dominant constraint: Information Breakdown hard limit prevents ..." -> "Information Breakdown"
+    const body = bullet.replace(/^dominant constraint\s*:?\s*/i, "");
+    const named = body.match(/^(.+?)(?:\s+hard limit\b|\s*[,.;:(—–]|\s+-\s)/i);
+    const label = (named ? named[1] : body).split(/\s+/).slice(0, 8).join(" ");
+
+    return { label, text: bullet };
+}
+
+function stripMarkdown(value) {
+    return value.replace(/\*\*/g, "").trim();
+}
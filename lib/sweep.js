@@ -0,0 +1,130 @@
+import { parseSections, extractDominantConstraint } from "./sections.js";
+
+/**
+ * -------------------------
+ * TREND SENSITIVITY SWEEP
+ * One base payload, one child job per combination of varied trend levels,
+ * and a comparison of where the outcome shifts between variants.
+ * -------------------------
+ */
+
+const LEVELS = [1, 2, 3];
+
+/**
+ * `vary` is either ["Energy Fragility", ...] (all levels 1–3)
+ * or { "Energy Fragility": [1, 3], ... }.
+ * Returns { axes: [{ trend, levels }] } or { error }.
+ */
+export function parseSweepVary(vary) {
+    let axes;
+
+    if (Array.isArray(vary)) {
+        axes = vary.map(trend => ({ trend, levels: LEVELS }));
+    } else if (vary && typeof vary === "object") {
+        axes = Object.entries(vary).map(([trend, levels]) => ({ trend, levels }));
+    } else {
+        return { error: "vary must be a list of trend names or an object of trend name -> levels" };
+    }
+
+    if (axes.length === 0) {
+        return { error: "vary must name at least one trend" };
+    }
+
+    for (const axis of axes) {
+        if (typeof axis.trend !== "string" || !axis.trend.trim()) {
+            return { error: "vary trend names must be non-empty strings" };
+        }
+        if (!Array.isArray(axis.levels) || axis.levels.length === 0 ||
+            !axis.levels.every(level => LEVELS.includes(level))) {
+            return { error: `vary levels for "${axis.trend}" must be a non-empty list of 1, 2 or 3` };
+        }
+        axis.levels = [...new Set(axis.levels)].sort((a, b) => a - b);
+    }
+
+    return { axes };
+}
+
+/**
+ * Cartesian product of the axes over the base trends.
+ * Each variant: { index, varied: { trend: level }, trends: full trend map }
+ */
+export function expandSweepVariants(baseTrends, axes) {
+    let combos = [{}];
+    for (const { trend, levels } of axes) {
+        combos = combos.flatMap(combo => levels.map(level => ({ ...combo, [trend]: level })));
+    }
+
+    return combos.map((varied, index) => ({
+        index,
+        varied,
+        trends: { ...(baseTrends || {}), ...varied }
+    }));
+}
+
+/**
+ * Aggregate status for a set of child job statuses
+ */
+export function sweepStatus(statuses) {
+    const counts = {};
+    for (const status of statuses) counts[status] = (counts[status] || 0) + 1;
+
+    let status;
+    if (statuses.every(s => s === "queued")) status = "queued";
+    else if (statuses.some(s => s === "queued" || s === "in_progress")) status = "in_progress";
+    else if (statuses.every(s => s === "completed")) status = "completed";
+    else if (statuses.some(s => s === "completed")) status = "partial";
+    else status = "failed";
+
+    return { status, counts };
+}
+
+/**
+ * Per-section comparison across variants: classification (D) and dominant constraint (C).
+ * `variants` are [{ index, varied, status, text }] in sweep order.
+ */
+export function compareSweepVariants(variants) {
+    const parsed = variants.map(variant => {
+        const { sections, classification } = parseSections(variant.text, {
+            final: variant.status === "completed"
+        });
+        const dominant = extractDominantConstraint(sections.C);
+        return {
+            ...variant,
+            classification,
+            dominantConstraint: dominant ? dominant.label : null
+        };
+    });
+
+    return {
+        D: compareField(parsed, "classification"),
+        C: compareField(parsed, "dominantConstraint")
+    };
+}
+
+function compareField(variants, field) {
+    const values = variants.map(v => ({ variant: v.index, varied: v.varied, value: v[field] }));
+
+    // Only compare neighbours that both have a value yet
+    const changes = [];
+    const known = values.filter(v => v.value !== null);
+    for (let i = 1; i < known.length; i++) {
+        const before = known[i - 1];
+        const after = known[i];
+        if (before.value.toLowerCase() === after.value.toLowerCase()) continue;
+
+        changes.push({
+            from: before.variant,
+            to: after.variant,
+            before: before.value,
+            after: after.value,
+            trendsChanged: Object.keys(after.varied).filter(trend => after.varied[trend] !== before.varied[trend])
+        });
+    }
+
+    return {
+        field,
+        values,
+        changed: changes.length > 0,
+        changes
+    };
+}
@@ -0,0 +1,203 @@
+/**
+ * -------------------------
+ * TREND CATALOG
+ * Canonical trend sliders (levels 1–3) and the feasibility gates they feed.
+ * Names match the wording used in the prompt instructions.
+ * -------------------------
+ */
+
+export const FEASIBILITY_GATES = [
+    {
+        id: "capitalFreeze",
+        label: "CapitalFreeze=3",
+        rule: "Execution fails unless committed non-market financing is specified."
+    },
+    {
+        id: "physicalHardLimit",
+        label: "Physical hard limit",
+        rule: "No design/efficiency workaround unless capacity is removed."
+    },
+    {
+        id: "lowInstitutionalCapacity",
+        label: "Low institutional capacity",
+        rule: "No enforcement/coordination without mechanism and funding."
+    },
+    {
+        id: "timingMismatch",
+        label: "Timing mismatch",
+        rule: "Outcome locked-in or partially irreversible."
+    },
+    {
+        id: "multiActor",
+        label: "Multi-actor required",
+        rule: "Default partial/fail unless binding authority is specified."
+    }
+];
+
+export const TREND_CATALOG = [
+    {
+        id: "informationBreakdown",
+        label: "Information Breakdown",
+        hardLimit: "reliable, timely data",
+        levels: {
+            1: "Data and reporting are mostly reliable; gaps and delays are occasional.",
+            2: "Monitoring has gaps and data is contested; verification is slow and partial.",
+            3: "Reliable, timely data is largely unavailable; monitoring, auditing and public scrutiny break down."
+        },
+        gates: ["lowInstitutionalCapacity", "multiActor"]
+    },
+    {
+        id: "energyFragility",
+        label: "Energy Fragility",
+        hardLimit: "dependable power/fuel",
+        levels: {
+            1: "Power and fuel are mostly dependable; price spikes are occasional.",
+            2: "Outages and supply or price shocks recur; backup capacity is strained.",
+            3: "Shortages and outages are chronic; operations cannot assume dependable energy."
+        },
+        gates: ["physicalHardLimit"]
+    },
+    {
+        id: "climateLimits",
+        label: "Climate Limits",
+        hardLimit: "heat/water extremes",
+        levels: {
+            1: "Climate stress is present but stays within design margins.",
+            2: "Heat, drought or flood extremes are frequent and exceed some design assumptions.",
+            3: "Extremes routinely exceed design and permit assumptions; water and heat limits bind."
+        },
+        gates: ["physicalHardLimit", "timingMismatch"]
+    },
+    {
+        id: "externalDomination",
+        label: "External Domination",
+        hardLimit: "local bargaining power",
+        levels: {
+            1: "Local actors keep a meaningful say over terms and approvals.",
+            2: "External buyers, financiers or governments shape key terms.",
+            3: "Decisions are effectively made outside the region; local consent and leverage are minimal."
+        },
+        gates: ["multiActor", "lowInstitutionalCapacity"]
+    },
+    {
+        id: "capitalFreeze",
+        label: "CapitalFreeze",
+        aliases: ["Capital Freeze"],
+        hardLimit: "access to finance",
+        levels: {
+            1: "Finance is available on normal terms.",
+            2: "Credit is tight and expensive; only low-risk projects are funded.",
+            3: "Market finance is effectively unavailable; execution fails unless committed non-market financing is specified."
+        },
+        gates: ["capitalFreeze"]
+    }
+];
+
+const LEVELS = [1, 2, 3];
+
+// "Energy Fragility", "energyFragility", "energy_fragility" -> "energyfragility"
+const keyOf = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const BY_KEY = new Map();
+for (const trend of TREND_CATALOG) {
+    for (const name of [trend.id, trend.label, ...(trend.aliases || [])]) {
+        BY_KEY.set(keyOf(name), trend);
+    }
+}
+
+/**
+ * Catalog entry for a trend id, label or alias (case/spacing-insensitive), or null
+ */
+export function resolveTrend(name) {
+    return BY_KEY.get(keyOf(name)) || null;
+}
+
+/**
+ * Catalog for GET /api/trends, with gate details inlined
+ */
+export function listTrends() {
+    return TREND_CATALOG.map(trend => ({
+        id: trend.id,
+        label: trend.label,
+        hardLimit: trend.hardLimit,
+        levels: trend.levels,
+        gates: trend.gates.map(id => FEASIBILITY_GATES.find(gate => gate.id === id))
+    }));
+}
+
+/**
+ * Field-level validation of a trends object.
+ * Returns [{ field, message, suggestion? }]; empty when valid.
+ * With allowUnknown, unrecognised names and out-of-range levels pass (they are clamped later).
+ */
+export function validateTrends(trends, { allowUnknown = false } = {}) {
+    if (trends === undefined || trends === null) return [];
+
+    if (typeof trends !== "object" || Array.isArray(trends)) {
+        return [{ field: "trends", message: "trends must be an object of trend name -> level (1–3)" }];
+    }
+
+    const errors = [];
+    const seen = new Map();
+
+    for (const [name, value] of Object.entries(trends)) {
+        const field = `trends.${name}`;
+        const trend = resolveTrend(name);
+
+        if (!trend) {
+            if (allowUnknown) continue;
+            const suggestion = suggestTrend(name);
+            errors.push({
+                field,
+                message: `Unknown trend "${name}"`,
+                ...(suggestion && { suggestion })
+            });
+            continue;
+        }
+
+        if (seen.has(trend.id)) {
+            errors.push({ field, message: `Duplicate of "${seen.get(trend.id)}"` });
+            continue;
+        }
+        seen.set(trend.id, name);
+
+        if (!allowUnknown && !LEVELS.includes(Number(value))) {
+            errors.push({ field, message: `Level must be 1, 2 or 3 (got ${JSON.stringify(value)})` });
+        }
+    }
+
+    return errors;
+}
+
+// Closest catalog label for a likely typo
+function suggestTrend(name) {
+    const key = keyOf(name);
+    let best = null;
+
+    for (const trend of TREND_CATALOG) {
+        const distance = editDistance(key, keyOf(trend.label));
+        if (distance <= 3 && (!best || distance < best.distance)) {
+            best = { label: trend.label, distance };
+        }
+    }
+
+    return best ? best.label : null;
+}
+
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(
+                prev[j] + 1,
+                row[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = row;
+    }
+
+    return prev[b.length];
+}
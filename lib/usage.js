@@ -0,0 +1,204 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * -------------------------
+ * TOKEN USAGE, COST AND BUDGETS
+ * Usage is { inputTokens, cachedInputTokens, outputTokens, reasoningTokens, totalTokens }
+ * (reasoning is part of output, cached input part of input, as the provider reports them).
+ * Cost comes from a price table per model and service tier (./prices.json, or PRICES_FILE).
+ * -------------------------
+ */
+
+export const DEFAULT_PRICES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "prices.json");
+
+const USAGE_FIELDS = ["inputTokens", "cachedInputTokens", "outputTokens", "reasoningTokens", "totalTokens"];
+
+// Rough size of text the provider hasn't reported usage for yet
+export const CHARS_PER_TOKEN = 4;
+export const estimateTokens = (chars) => Math.ceil(chars / CHARS_PER_TOKEN);
+
+export function emptyUsage() {
+    return Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+}
+
+export function addUsage(total, usage = {}) {
+    return Object.fromEntries(USAGE_FIELDS.map(field => [field, (total?.[field] || 0) + (usage[field] || 0)]));
+}
+
+export function loadPriceTable(file) {
+    const table = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!table.models || typeof table.models !== "object") {
+        throw new Error(`Price table ${file}: needs a "models" object`);
+    }
+    return {
+        currency: table.currency || "USD",
+        perTokens: table.perTokens || 1000000,
+        models: table.models
+    };
+}
+
+/**
+ * Cost lookups against a loaded price table
+ */
+export function createPricing(table) {
+    // Exact model first, then the longest listed prefix ("gpt-5.2-2025-12-11" -> "gpt-5.2")
+    function modelPrices(model) {
+        if (table.models[model]) return table.models[model];
+        const prefix = Object.keys(table.models)
+            .filter(name => String(model).startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? table.models[prefix] : null;
+    }
+
+    // "auto" and unknown tiers bill as "default"
+    function priceFor(model, serviceTier) {
+        const prices = modelPrices(model);
+        if (!prices) return null;
+        return prices[serviceTier] || prices.default || null;
+    }
+
+    /**
+     * Cost of `usage` in the table currency, or null for an unpriced model
+     */
+    function costOf(usage, model, serviceTier) {
+        const price = priceFor(model, serviceTier);
+        if (!price || !usage) return null;
+
+        const cached = Math.min(usage.cachedInputTokens || 0, usage.inputTokens || 0);
+        const cost = (
+            ((usage.inputTokens || 0) - cached) * (price.input || 0) +
+            cached * (price.cachedInput ?? price.input ?? 0) +
+            (usage.outputTokens || 0) * (price.output || 0)
+        ) / table.perTokens;
+
+        // Sub-cent precision without float noise
+        return roundCost(cost);
+    }
+
+    return {
+        currency: table.currency,
+        priceFor,
+        costOf,
+        models: () => Object.keys(table.models)
+    };
+}
+
+/**
+ * Returns an error message for a bad `budget` ({ maxTokens?, maxCost? }), or null
+ */
+export function validateBudget(budget) {
+    if (budget === undefined || budget === null) return null;
+    if (typeof budget !== "object" || Array.isArray(budget)) {
+        return "budget must be an object: { maxTokens, maxCost }";
+    }
+
+    const { maxTokens, maxCost, ...rest } = budget;
+    if (Object.keys(rest).length > 0) {
+        return `Unknown budget field(s): ${Object.keys(rest).join(", ")} (use maxTokens, maxCost)`;
+    }
+    if (maxTokens === undefined && maxCost === undefined) {
+        return "budget needs maxTokens, maxCost or both";
+    }
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens <= 0)) {
+        return "budget.maxTokens must be a positive integer";
+    }
+    if (maxCost !== undefined && (typeof maxCost !== "number" || !Number.isFinite(maxCost) || maxCost <= 0)) {
+        return "budget.maxCost must be a positive number";
+    }
+    return null;
+}
+
+/**
+ * Why `usage`/`cost` is over `budget` ("maxTokens 1500 reached (1532 tokens)"), or null
+ */
+export function budgetExceeded(budget, usage, cost, currency) {
+    if (!budget) return null;
+    if (budget.maxTokens !== undefined && usage.totalTokens > budget.maxTokens) {
+        return `maxTokens ${budget.maxTokens} reached (${usage.totalTokens} tokens)`;
+    }
+    if (budget.maxCost !== undefined && cost !== null && cost > budget.maxCost) {
+        return `maxCost ${budget.maxCost} ${currency} reached (${cost} ${currency})`;
+    }
+    return null;
+}
+
+/**
+ * Per-day usage totals that outlive job cleanup. `store` is a job-store-style map of
+ * "YYYY-MM-DD" (UTC) -> { day, rows: [{ mode, clientId, model, serviceTier, jobs, unpricedJobs, cost, ...usage }] }.
+ */
+export function createUsageLedger({ store, currency }) {
+    const sameGroup = (a, b) =>
+        a.mode === b.mode && a.clientId === b.clientId && a.model === b.model && a.serviceTier === b.serviceTier;
+
+    // One finished job; cost is null when the model has no price
+    function record({ at = Date.now(), mode, clientId, model, serviceTier, usage, cost }) {
+        if (!usage?.totalTokens) return;
+
+        const day = new Date(at).toISOString().slice(0, 10);
+        const group = { mode: mode || null, clientId: clientId || null, model: model || null, serviceTier: serviceTier || null };
+        const ledger = store.get(day) || { day, rows: [] };
+
+        let row = ledger.rows.find(other => sameGroup(other, group));
+        if (!row) {
+            row = { ...group, jobs: 0, unpricedJobs: 0, cost: 0, ...emptyUsage() };
+            ledger.rows.push(row);
+        }
+        Object.assign(row, addUsage(row, usage));
+        row.jobs++;
+        if (cost === null) row.unpricedJobs++;
+        else row.cost = roundCost(row.cost + cost);
+
+        if (store.has(day)) store.save(day);
+        else store.set(day, ledger);
+    }
+
+    /**
+     * Totals plus the same figures by day, mode and client for days in [from, to]
+     * ("YYYY-MM-DD", both optional); `clientId` limits it to one client's rows
+     */
+    function report({ from, to, clientId } = {}) {
+        const groups = { day: new Map(), mode: new Map(), client: new Map() };
+        let totals = emptyTotals();
+
+        for (const [day, ledger] of store.entries()) {
+            if ((from && day < from) || (to && day > to)) continue;
+            for (const row of ledger.rows) {
+                if (clientId !== undefined && row.clientId !== clientId) continue;
+                totals = addTotals(totals, row);
+                for (const [group, key] of [["day", day], ["mode", row.mode], ["client", row.clientId]]) {
+                    groups[group].set(key, addTotals(groups[group].get(key) || emptyTotals(), row));
+                }
+            }
+        }
+
+        const list = (group, field) => [...groups[group]].map(([key, sum]) => ({ [field]: key, ...sum }));
+        const byCost = (a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens;
+
+        return {
+            currency,
+            totals,
+            byDay: list("day", "day").sort((a, b) => a.day.localeCompare(b.day)),
+            byMode: list("mode", "mode").sort(byCost),
+            byClient: list("client", "clientId").sort(byCost)
+        };
+    }
+
+    return { record, report };
+}
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+function emptyTotals() {
+    return { jobs: 0, unpricedJobs: 0, cost: 0, ...emptyUsage() };
+}
+
+function addTotals(sum, row) {
+    return {
+        jobs: sum.jobs + row.jobs,
+        unpricedJobs: sum.unpricedJobs + (row.unpricedJobs || 0),
+        cost: roundCost(sum.cost + (row.cost || 0)),
+        ...addUsage(sum, row)
+    };
+}
@@ -0,0 +1,133 @@
+import { parseSections, SECTION_TITLES } from "./sections.js";
+
+/**
+ * -------------------------
+ * OUTPUT RULE VALIDATOR
+ * Checks a finished scenario against the COMMON instruction rules.
+ * Blocking failures are worth a repair request; the rest are reported only.
+ * -------------------------
+ */
+
+export const NO_MITIGATION_LINE = "No credible mitigation within stated assumptions.";
+
+const SECTION_KEYS = Object.keys(SECTION_TITLES);
+const BULLETS = { min: 3, max: 5 };
+// "~20–25 words" with some slack so near-misses don't fail the job
+const BULLET_WORDS = { min: 15, max: 32 };
+
+const BENEFIT_RE = /\b(benefit\w*|gain\w*|win\w*|profit\w*|advantag\w*)\b/i;
+const LOSS_RE = /\b(lose\w*|loss\w*|lost|bear\w*|harm\w*|suffer\w*|cost\w*|pay\w*|displac\w*)\b/i;
+
+/**
+ * Validate completed scenario text.
+ * Returns { valid, checkedAt, results: [{ rule, passed, blocking, location, message }] }
+ * where `valid` is false only when a blocking rule failed.
+ */
+export function validateScenario(text) {
+    const { sections, classification } = parseSections(text, { final: true });
+    const results = [];
+
+    const check = (rule, passed, { blocking = true, location = null, message }) => {
+        results.push({ rule, passed, blocking, location, message: passed ? null : message });
+    };
+
+    // All six sections, in template order
+    const missing = SECTION_KEYS.filter(key => !sections[key]);
+    check("sections.present", missing.length === 0, {
+        message: `Missing section(s): ${missing.join(", ")}`
+    });
+
+    const order = Object.keys(sections);
+    const expectedOrder = SECTION_KEYS.filter(key => sections[key]);
+    check("sections.order", order.join("") === expectedOrder.join(""), {
+        message: `Sections appear as ${order.join(", ")}; expected ${expectedOrder.join(", ")}`
+    });
+
+    // F is a single fixed line for A/B classifications
+    const noMitigation = classification === "A" || classification === "B";
+    if (noMitigation) {
+        const f = sections.F;
+        const fText = f ? [f.lead, ...f.bullets].join(" ").trim() : "";
+        check("mitigation.noCredible", fText === NO_MITIGATION_LINE, {
+            location: { section: "F" },
+            message: `Classified ${classification}: section F must be exactly "${NO_MITIGATION_LINE}"`
+        });
+    }
+
+    // 3–5 bullets of ~20–25 words each
+    for (const key of SECTION_KEYS) {
+        const section = sections[key];
+        if (!section || (key === "F" && noMitigation)) continue;
+
+        const count = section.bullets.length;
+        check("section.bulletCount", count >= BULLETS.min && count <= BULLETS.max, {
+            blocking: false,
+            location: { section: key },
+            message: `Section ${key} has ${count} bullets; expected ${BULLETS.min}–${BULLETS.max}`
+        });
+
+        section.bullets.forEach((bullet, index) => {
+            // The classification line in D is a label, not a sentence
+            if (key === "D" && /^Classification\s*:/i.test(bullet)) return;
+            const words = bullet.split(/\s+/).filter(Boolean).length;
+            if (words >= BULLET_WORDS.min && words <= BULLET_WORDS.max) return;
+            check("bullet.length", false, {
+                blocking: false,
+                location: { section: key, bullet: index + 1 },
+                message: `Bullet has ${words} words; expected about 20–25`
+            });
+        });
+    }
+
+    check("term.hardLimit", /hard limit/i.test(text || ""), {
+        message: `The term "hard limit" is never used`
+    });
+
+    // A and E must say who benefits and who loses
+    for (const key of ["A", "E"]) {
+        const section = sections[key];
+        if (!section) continue;
+
+        const lines = [section.lead, ...section.bullets];
+        check("section.winnersLosers", lines.some(line => BENEFIT_RE.test(line) && LOSS_RE.test(line)), {
+            location: { section: key },
+            message: `Section ${key} does not state who benefits and who loses`
+        });
+    }
+
+    return {
+        valid: results.every(result => result.passed || !result.blocking),
+        checkedAt: Date.now(),
+        results
+    };
+}
+
+/**
+ * Blocking failures only - these are what a repair request is asked to fix.
+ */
+export function blockingViolations(validation) {
+    return validation.results.filter(result => !result.passed && result.blocking);
+}
+
+/**
+ * Input for a one-shot repair: the original request, the rejected output and what to fix.
+ */
+export function buildRepairPrompt(originalInput, previousText, violations) {
+    const list = violations
+        .map(v => `- [${v.rule}]${v.location ? ` section ${v.location.section}` : ""}: ${v.message}`)
+        .join("\n");
+
+    return `
+${originalInput}
+
+Previous output (rejected)
+${previousText}
+
+Rule violations to fix
+${list}
+
+Instruction
+Rewrite the complete A–F output so that every listed violation is fixed.
+Keep all other content and analysis unchanged. Output only the corrected A–F sections.
+`.trim();
+}
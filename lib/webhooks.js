@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+/**
+ * -------------------------
+ * WEBHOOK CALLBACKS
+ * POSTs the final job payload to the job's callbackUrl when it finishes.
+ * Every request is signed: X-StratEko-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * with the timestamp sent in X-StratEko-Timestamp. Failed deliveries retry with
+ * exponential backoff; the attempt log lives on the job record (job.deliveries).
+ * -------------------------
+ */
+
+export const WEBHOOK_EVENTS = {
+    completed: "job.completed",
+    failed: "job.failed",
+    cancelled: "job.cancelled",
+    // Cut off by a server restart (sent once the server is back up)
+    interrupted: "job.interrupted"
+};
+
+// Returns an error message, or null if the URL can be used
+export function validateCallbackUrl(callbackUrl) {
+    if (typeof callbackUrl !== "string" || !callbackUrl.trim()) {
+        return "callbackUrl must be a non-empty string";
+    }
+
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch {
+        return "callbackUrl must be an absolute URL";
+    }
+
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+        return "callbackUrl must use http or https";
+    }
+    if (url.username || url.password) {
+        return "callbackUrl must not contain credentials";
+    }
+    return null;
+}
+
+export function signWebhook(secret, timestamp, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Only these are worth retrying; any other 4xx means the receiver rejected the payload
+const retryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+/**
+ * `jobs` is the job store; `payloadFor(jobId, job)` builds the JSON body.
+ */
+export function createWebhookDispatcher({ jobs, secret, payloadFor, maxAttempts = 5, baseDelayMs = 2000, timeoutMs = 10000 }) {
+    const timers = new Map(); // deliveryId -> retry timer
+
+    // Queue the delivery for a finished job
+    function deliver(jobId, status) {
+        const job = jobs.get(jobId);
+        const event = WEBHOOK_EVENTS[status];
+        if (!job?.callbackUrl || !event) return null;
+
+        const delivery = {
+            deliveryId: crypto.randomUUID(),
+            event,
+            url: job.callbackUrl,
+            status: "pending",
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now(),
+            attempts: []
+        };
+        job.deliveries = [...(job.deliveries || []), delivery];
+        jobs.save(jobId);
+
+        schedule(jobId, delivery);
+        return delivery.deliveryId;
+    }
+
+    function schedule(jobId, delivery) {
+        const delay = Math.max(0, delivery.nextAttemptAt - Date.now());
+        timers.set(delivery.deliveryId, setTimeout(() => attempt(jobId, delivery.deliveryId), delay));
+    }
+
+    async function attempt(jobId, deliveryId) {
+        timers.delete(deliveryId);
+
+        const job = jobs.get(jobId);
+        const delivery = job?.deliveries?.find(d => d.deliveryId === deliveryId);
+        if (!delivery || delivery.status !== "pending") return;
+
+        const body = JSON.stringify({ deliveryId, event: delivery.event, ...payloadFor(jobId, job) });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const startedAt = Date.now();
+        const record = { attempt: delivery.attempts.length + 1, at: startedAt, statusCode: null, durationMs: 0, error: null };
+        let retryable = true;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "User-Agent": "StratEko-Webhooks/1",
+                    "X-StratEko-Event": delivery.event,
+                    "X-StratEko-Delivery": deliveryId,
+                    "X-StratEko-Timestamp": timestamp,
+                    "X-StratEko-Signature": signWebhook(secret, timestamp, body)
+                },
+                body,
+                redirect: "manual",
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            record.statusCode = response.status;
+            retryable = retryableStatus(response.status);
+            if (!response.ok) record.error = `Receiver responded ${response.status}`;
+        } catch (err) {
+            // fetch() hides the socket error (ECONNREFUSED, ENOTFOUND, ...) in err.cause
+            record.error = err.name === "TimeoutError"
+                ? `No response within ${timeoutMs}ms`
+                : [err.message, err.cause?.code].filter(Boolean).join(": ");
+        }
+        record.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(record);
+
+        if (!record.error) {
+            delivery.status = "delivered";
+            delivery.nextAttemptAt = null;
+            logger.info("Webhook delivered", { jobId, event: delivery.event, deliveryId, attempts: delivery.attempts.length });
+        } else if (!retryable || delivery.attempts.length >= maxAttempts) {
+            delivery.status = "failed";
+            delivery.nextAttemptAt = null;
+            logger.error("Webhook delivery failed", { jobId, event: delivery.event, deliveryId, attempts: delivery.attempts.length, error: record.error });
+        } else {
+            // 2s, 4s, 8s, ... with a little jitter so retries don't line up
+            const backoff = baseDelayMs * 2 ** (delivery.attempts.length - 1);
+            delivery.nextAttemptAt = Date.now() + backoff + Math.floor(Math.random() * baseDelayMs / 2);
+            logger.warn("Webhook attempt failed, retrying", { jobId, event: delivery.event, deliveryId, attempt: record.attempt, error: record.error, retryInMs: backoff });
+            schedule(jobId, delivery);
+        }
+
+        jobs.flush(jobId);
+    }
+
+    // Pick up deliveries still pending when the process last stopped
+    function resume() {
+        let resumed = 0;
+        for (const [jobId, job] of jobs.entries()) {
+            for (const delivery of job.deliveries || []) {
+                if (delivery.status === "pending" && !timers.has(delivery.deliveryId)) {
+                    schedule(jobId, delivery);
+                    resumed++;
+                }
+            }
+        }
+        return resumed;
+    }
+
+    return {
+        deliver,
+        resume,
+        pending: () => timers.size
+    };
+}
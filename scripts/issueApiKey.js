@@ -0,0 +1,57 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { hashApiKey } from "../lib/auth.js";
+
+/**
+ * -------------------------
+ * ISSUE AN API KEY
+ * npm run issue-key -- <clientId> [--origin https://site.example]... [--daily 200000] [--monthly 3000000] [--rpm 120]
+ * Adds (or re-keys) the client in API_KEYS_FILE and prints the key once.
+ * -------------------------
+ */
+
+const file = process.env.API_KEYS_FILE || path.join(process.env.DATA_DIR || "./data", "api-keys.json");
+const [clientId, ...args] = process.argv.slice(2);
+
+if (!clientId) {
+    console.error("Usage: npm run issue-key -- <clientId> [--origin URL]... [--daily N] [--monthly N] [--rpm N]");
+    process.exit(1);
+}
+
+const options = { origins: [] };
+for (let i = 0; i < args.length; i += 2) {
+    const [flag, value] = [args[i], args[i + 1]];
+    if (flag === "--origin") options.origins.push(value);
+    else if (flag === "--daily") options.dailyTokens = Number(value);
+    else if (flag === "--monthly") options.monthlyTokens = Number(value);
+    else if (flag === "--rpm") options.rpm = Number(value);
+    else {
+        console.error(`Unknown option ${flag}`);
+        process.exit(1);
+    }
+}
+
+const config = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { clients: [] };
+const key = `sk_strateko_${crypto.randomBytes(24).toString("base64url")}`;
+
+const existing = config.clients.find(client => client.id === clientId);
+const client = existing || { id: clientId, name: clientId };
+client.keyHash = hashApiKey(key);
+if (options.origins.length > 0) client.origins = options.origins;
+if (options.rpm) client.rateLimit = { requests: options.rpm, windowMs: 60 * 1000 };
+if (options.dailyTokens || options.monthlyTokens) {
+    client.quotas = {
+        ...client.quotas,
+        ...(options.dailyTokens && { dailyTokens: options.dailyTokens }),
+        ...(options.monthlyTokens && { monthlyTokens: options.monthlyTokens })
+    };
+}
+if (!existing) config.clients.push(client);
+
+fs.mkdirSync(path.dirname(file), { recursive: true });
+fs.writeFileSync(file, JSON.stringify(config, null, 2) + "\n");
+
+console.log(`${existing ? "Re-keyed" : "Issued"} API key for "${clientId}" in ${file}`);
+console.log(`Key (shown once): ${key}`);
+console.log("Restart the server to load it.");